@@ -0,0 +1,140 @@
+/**
+ * StockPulse - Cache
+ * Response cache kept in memory and IndexedDB
+ */
+
+// Node loads the modules this one builds on; browsers get them from the
+// script tags that come before it in index.html
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config.js'), require('./calendar.js'));
+}
+
+// ============================================
+// Cache
+// ============================================
+// Entries live in IndexedDB so they survive reloads. cacheEntries mirrors the
+// store in memory, which keeps reads synchronous; writes go to both.
+const cacheEntries = new Map();
+const staleCacheKeys = new Set(); // Served from an expired entry after a failed refresh
+
+let cacheDbPromise = null;
+
+function openCacheDb() {
+    if (cacheDbPromise) return cacheDbPromise;
+    
+    cacheDbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        
+        const request = indexedDB.open(CONFIG.CACHE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(CONFIG.CACHE_STORE, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    
+    return cacheDbPromise;
+}
+
+async function runCacheTransaction(mode, action) {
+    const db = await openCacheDb();
+    
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(CONFIG.CACHE_STORE, mode);
+        const request = action(tx.objectStore(CONFIG.CACHE_STORE));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function hydrateCache() {
+    try {
+        const items = await runCacheTransaction('readonly', store => store.getAll());
+        const cutoff = Date.now() - CONFIG.CACHE_MAX_AGE;
+        
+        items.forEach(item => {
+            if (item.timestamp < cutoff) {
+                runCacheTransaction('readwrite', store => store.delete(item.key)).catch(() => {});
+            } else {
+                cacheEntries.set(item.key, item);
+            }
+        });
+    } catch (error) {
+        // Fall back to a memory-only cache (e.g. private browsing)
+        console.warn('Persistent cache unavailable:', error);
+    }
+}
+
+function getCacheType(key) {
+    return key.split('_')[0];
+}
+
+// Quotes and overviews use fixed lifetimes; daily history (raw or with
+// dividends and splits) only changes once the trading day ends, so it
+// expires at the next New York close.
+function getCacheExpiry(type, timestamp) {
+    if (type === 'history' || type === 'adjusted') return getNextMarketClose(timestamp);
+    return timestamp + (CONFIG.CACHE_TTL[type] || CONFIG.CACHE_TTL.quote);
+}
+
+function getFromCache(key, { allowStale = false } = {}) {
+    const item = cacheEntries.get(key);
+    if (!item) return null;
+    if (!allowStale && Date.now() > item.expires) return null;
+    return item.data;
+}
+
+// `meta` holds extra flags stored with the entry, e.g. `full` for history
+function setToCache(key, data, meta = {}) {
+    const timestamp = Date.now();
+    const item = {
+        ...meta,
+        key,
+        type: getCacheType(key),
+        data,
+        timestamp,
+        expires: getCacheExpiry(getCacheType(key), timestamp),
+    };
+    
+    cacheEntries.set(key, item);
+    staleCacheKeys.delete(key);
+    runCacheTransaction('readwrite', store => store.put(item)).catch(error => {
+        console.warn('Could not persist cache entry:', error);
+    });
+}
+
+// Used when a refresh fails: serve the expired entry and remember it is stale
+function useStaleCache(key) {
+    const data = getFromCache(key, { allowStale: true });
+    if (data) staleCacheKeys.add(key);
+    return data;
+}
+
+async function clearCache() {
+    cacheEntries.clear();
+    staleCacheKeys.clear();
+    try {
+        await runCacheTransaction('readwrite', store => store.clear());
+    } catch (error) {
+        console.warn('Could not clear persistent cache:', error);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        cacheEntries,
+        staleCacheKeys,
+        openCacheDb,
+        runCacheTransaction,
+        hydrateCache,
+        getCacheType,
+        getCacheExpiry,
+        getFromCache,
+        setToCache,
+        useStaleCache,
+        clearCache,
+    };
+}
@@ -0,0 +1,303 @@
+/**
+ * StockPulse - Trading Calendar
+ * US exchange trading days, holidays and session hours
+ */
+
+// Node loads the modules this one builds on; browsers get them from the
+// script tags that come before it in index.html
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config.js'));
+}
+
+// ============================================
+// Trading Calendar
+// ============================================
+// US equity trading days, holidays and early closes (NYSE rules). Sessions
+// run in exchange time: pre-market 4:00-9:30, regular 9:30-16:00 and
+// post-market 16:00-20:00 (CONFIG.MARKET_HOURS). On early-close days the
+// regular session ends at 13:00 and post-market at 17:00.
+const marketHolidays = new Map(); // year -> Map of day key -> holiday name
+const marketEarlyCloses = new Map(); // year -> Map of day key -> reason
+
+// YYYY-MM-DD key for a date, used to line up daily series
+function toDayKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+function makeDayKey(year, month, day) {
+    return toDayKey(new Date(Date.UTC(year, month - 1, day)));
+}
+
+function addDaysToKey(dayKey, days) {
+    const date = new Date(`${dayKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDayKey(date);
+}
+
+function getWeekday(dayKey) {
+    return new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+}
+
+// The nth `weekday` (0 = Sunday) of a month; n = -1 is the last one
+function getNthWeekday(year, month, weekday, n) {
+    if (n < 0) {
+        const last = new Date(Date.UTC(year, month, 0));
+        last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+        return toDayKey(last);
+    }
+    
+    const first = new Date(Date.UTC(year, month - 1, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return makeDayKey(year, month, 1 + offset + (n - 1) * 7);
+}
+
+// Anonymous Gregorian algorithm
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return makeDayKey(year, month, day);
+}
+
+// Fixed-date holidays move to Friday when they fall on a Saturday and to
+// Monday when they fall on a Sunday
+function getObservedDay(year, month, day) {
+    const dayKey = makeDayKey(year, month, day);
+    const weekday = getWeekday(dayKey);
+    if (weekday === 6) return addDaysToKey(dayKey, -1);
+    if (weekday === 0) return addDaysToKey(dayKey, 1);
+    return dayKey;
+}
+
+function getMarketHolidays(year) {
+    if (marketHolidays.has(year)) return marketHolidays.get(year);
+    
+    const holidays = new Map();
+    // A Saturday New Year's Day is not observed on the Friday before, which
+    // would fall in the previous year
+    if (getWeekday(makeDayKey(year, 1, 1)) !== 6) {
+        holidays.set(getObservedDay(year, 1, 1), "New Year's Day");
+    }
+    holidays.set(getNthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+    holidays.set(getNthWeekday(year, 2, 1, 3), "Washington's Birthday");
+    holidays.set(addDaysToKey(getEasterSunday(year), -2), 'Good Friday');
+    holidays.set(getNthWeekday(year, 5, 1, -1), 'Memorial Day');
+    if (year >= 2022) {
+        holidays.set(getObservedDay(year, 6, 19), 'Juneteenth');
+    }
+    holidays.set(getObservedDay(year, 7, 4), 'Independence Day');
+    holidays.set(getNthWeekday(year, 9, 1, 1), 'Labor Day');
+    holidays.set(getNthWeekday(year, 11, 4, 4), 'Thanksgiving Day');
+    holidays.set(getObservedDay(year, 12, 25), 'Christmas Day');
+    
+    marketHolidays.set(year, holidays);
+    return holidays;
+}
+
+function getMarketEarlyCloses(year) {
+    if (marketEarlyCloses.has(year)) return marketEarlyCloses.get(year);
+    
+    const earlyCloses = new Map();
+    const isMondayToThursday = (dayKey) => getWeekday(dayKey) >= 1 && getWeekday(dayKey) <= 4;
+    
+    const july3 = makeDayKey(year, 7, 3);
+    if (isMondayToThursday(july3)) earlyCloses.set(july3, 'Independence Day eve');
+    earlyCloses.set(addDaysToKey(getNthWeekday(year, 11, 4, 4), 1), 'Day after Thanksgiving');
+    const christmasEve = makeDayKey(year, 12, 24);
+    if (isMondayToThursday(christmasEve)) earlyCloses.set(christmasEve, 'Christmas Eve');
+    
+    marketEarlyCloses.set(year, earlyCloses);
+    return earlyCloses;
+}
+
+// Everything the calendar knows about one exchange date. `hours` holds the
+// session boundaries in minutes after midnight, or null on closed days.
+function getCalendarDay(dayKey) {
+    const year = Number(dayKey.slice(0, 4));
+    const weekday = getWeekday(dayKey);
+    const holiday = getMarketHolidays(year).get(dayKey) || null;
+    const earlyClose = getMarketEarlyCloses(year).get(dayKey) || null;
+    const isTradingDay = weekday !== 0 && weekday !== 6 && !holiday;
+    
+    const { preMarket, open, close, postMarket } = CONFIG.MARKET_HOURS;
+    const sessionClose = earlyClose ? CONFIG.EARLY_CLOSE : close;
+    
+    return {
+        dayKey,
+        isTradingDay,
+        holiday,
+        earlyClose: isTradingDay ? earlyClose : null,
+        hours: isTradingDay
+            ? { preMarket, open, close: sessionClose, postMarket: postMarket - (close - sessionClose) }
+            : null,
+    };
+}
+
+function isTradingDay(dayKey) {
+    return getCalendarDay(dayKey).isTradingDay;
+}
+
+function getSessionHours(dayKey) {
+    return getCalendarDay(dayKey).hours;
+}
+
+function getPreviousTradingDay(dayKey) {
+    let day = addDaysToKey(dayKey, -1);
+    while (!isTradingDay(day)) day = addDaysToKey(day, -1);
+    return day;
+}
+
+function getNextTradingDay(dayKey) {
+    let day = addDaysToKey(dayKey, 1);
+    while (!isTradingDay(day)) day = addDaysToKey(day, 1);
+    return day;
+}
+
+// The most recent trading day whose regular session has opened
+function getLatestSessionDay(timestamp) {
+    const today = getExchangeDayKey(timestamp);
+    const hours = getSessionHours(today);
+    return hours && getZonedMinutes(timestamp) >= hours.open ? today : getPreviousTradingDay(today);
+}
+
+// UTC timestamp of a wall-clock time, in minutes after midnight, on `dayKey`
+function zonedTimeToUtc(dayKey, minutes, timeZone = CONFIG.EXCHANGE_TIMEZONE) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    
+    // Shift by the zone's offset; the second pass settles DST changeovers
+    let timestamp = wallClock;
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedParts(timestamp, timeZone);
+        const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - timestamp;
+        timestamp = wallClock - offset;
+    }
+    return timestamp;
+}
+
+function getExchangeDayKey(timestamp) {
+    const { year, month, day } = getZonedParts(timestamp, CONFIG.EXCHANGE_TIMEZONE);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function getZonedParts(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+    }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return parts;
+}
+
+function getZonedMinutes(timestamp, timeZone = CONFIG.EXCHANGE_TIMEZONE) {
+    const { hour, minute } = getZonedParts(timestamp, timeZone);
+    return hour * 60 + minute;
+}
+
+// 'pre' | 'regular' | 'post' | 'closed'
+function getMarketSession(timestamp) {
+    const hours = getSessionHours(getExchangeDayKey(timestamp));
+    if (!hours) return 'closed';
+    
+    const minutes = getZonedMinutes(timestamp);
+    if (minutes >= hours.preMarket && minutes < hours.open) return 'pre';
+    if (minutes >= hours.open && minutes < hours.close) return 'regular';
+    if (minutes >= hours.close && minutes < hours.postMarket) return 'post';
+    return 'closed';
+}
+
+function isMarketOpen(timestamp) {
+    return getMarketSession(timestamp) === 'regular';
+}
+
+// The current session plus the next open or close, for the header badge
+function getMarketStatus(timestamp) {
+    const today = getExchangeDayKey(timestamp);
+    const day = getCalendarDay(today);
+    const session = getMarketSession(timestamp);
+    
+    let next;
+    if (session === 'regular') {
+        next = { event: 'close', at: zonedTimeToUtc(today, day.hours.close) };
+    } else {
+        const opensToday = day.isTradingDay && getZonedMinutes(timestamp) < day.hours.open;
+        const openDay = opensToday ? today : getNextTradingDay(today);
+        next = { event: 'open', at: zonedTimeToUtc(openDay, getSessionHours(openDay).open) };
+    }
+    
+    return { session, holiday: day.holiday, earlyClose: day.earlyClose, next };
+}
+
+// Holidays and early closes come from the trading calendar
+function getNextMarketClose(timestamp) {
+    let day = getExchangeDayKey(timestamp);
+    if (!isTradingDay(day)) day = getNextTradingDay(day);
+    
+    let close = zonedTimeToUtc(day, getSessionHours(day).close);
+    if (close <= timestamp) {
+        day = getNextTradingDay(day);
+        close = zonedTimeToUtc(day, getSessionHours(day).close);
+    }
+    return close;
+}
+
+// Pre- and post-market spans for every session day found in `data`
+function getExtendedHoursRanges(data) {
+    const days = [...new Set(data.map(d => getExchangeDayKey(d.date)))];
+    
+    return days.flatMap(day => {
+        const hours = getSessionHours(day);
+        if (!hours) return [];
+        return [
+            { start: zonedTimeToUtc(day, hours.preMarket), end: zonedTimeToUtc(day, hours.open) },
+            { start: zonedTimeToUtc(day, hours.close), end: zonedTimeToUtc(day, hours.postMarket) },
+        ];
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        toDayKey,
+        makeDayKey,
+        addDaysToKey,
+        getWeekday,
+        getNthWeekday,
+        getEasterSunday,
+        getObservedDay,
+        getMarketHolidays,
+        getMarketEarlyCloses,
+        getCalendarDay,
+        isTradingDay,
+        getSessionHours,
+        getPreviousTradingDay,
+        getNextTradingDay,
+        getLatestSessionDay,
+        zonedTimeToUtc,
+        getExchangeDayKey,
+        getZonedParts,
+        getZonedMinutes,
+        getMarketSession,
+        isMarketOpen,
+        getMarketStatus,
+        getNextMarketClose,
+        getExtendedHoursRanges,
+    };
+}
@@ -0,0 +1,91 @@
+/**
+ * StockPulse - Configuration
+ * Settings and defaults shared by every module
+ */
+
+// ============================================
+// Configuration
+// ============================================
+const CONFIG = {
+    API_BASE: 'https://www.alphavantage.co/query',
+    STORAGE_KEY: 'stockpulse_api_key',
+    DEFAULT_SYMBOL: 'AAPL',
+    // Cache lifetimes per data type; daily history lives until the next market close
+    CACHE_TTL: {
+        quote: 5 * 60 * 1000, // 5 minutes
+        overview: 3 * 24 * 60 * 60 * 1000, // 3 days
+        search: 7 * 24 * 60 * 60 * 1000, // 7 days
+        intraday: 60 * 1000, // 1 minute
+        earnings: 24 * 60 * 60 * 1000, // 1 day
+    },
+    CACHE_MAX_AGE: 30 * 24 * 60 * 60 * 1000, // Stale entries are dropped after 30 days
+    CACHE_DB_NAME: 'stockpulse',
+    CACHE_STORE: 'cache',
+    COMPACT_HISTORY_DAYS: 100, // Trading days returned by outputsize=compact
+    COMPARE_MAX: 6,
+    COMPARE_COLORS: ['#00d4aa', '#3b82f6', '#f59e0b', '#8b5cf6', '#ec4899', '#22d3ee'],
+    TRADING_DAYS_PER_YEAR: 252,
+    ALERTS_KEY: 'stockpulse_alerts',
+    ALERT_SNOOZE: 60 * 60 * 1000, // 1 hour
+    AUTOCOMPLETE_DELAY: 400,
+    AUTOCOMPLETE_MAX: 8,
+    AUTOCOMPLETE_MIN_LENGTH: 2, // Shorter queries match too much to be worth a request
+    PORTFOLIO_KEY: 'stockpulse_portfolio',
+    PROVIDER_KEY: 'stockpulse_provider',
+    MOCK_HISTORY_START: '2010-01-04', // First bar of every demo series
+    MOCK_HISTORY_DAYS: 365 * 10,
+    EXCHANGE_TIMEZONE: 'America/New_York',
+    // Minutes after midnight, exchange time
+    MARKET_HOURS: { preMarket: 4 * 60, open: 9 * 60 + 30, close: 16 * 60, postMarket: 20 * 60 },
+    EARLY_CLOSE: 13 * 60,
+    EARNINGS_ROWS: 8,
+    CHART_ZOOM_STEP: 1.25, // Window grows or shrinks by this factor per wheel notch
+    CHART_MIN_BARS: 5, // Narrowest zoom window
+    MARKET_STATUS_REFRESH: 30 * 1000,
+    INTRADAY_RANGE: '1D',
+    INTRADAY_INTERVALS: ['1min', '5min', '15min', '60min'],
+    INTRADAY_KEY: 'stockpulse_intraday_interval',
+    SNAPSHOT_URL: 'data/stocks.json', // Written by the scheduled GitHub Action
+    INDICATORS_KEY: 'stockpulse_indicators',
+    WATCHLIST_KEY: 'stockpulse_watchlist',
+    // Free tier allows 5 requests/minute, so refresh in small staggered batches
+    WATCHLIST_BATCH_SIZE: 4,
+    WATCHLIST_STAGGER: 2000, // Between requests within a batch
+    WATCHLIST_BATCH_DELAY: 60 * 1000, // Between batches
+    WATCHLIST_REFRESH: 5 * 60 * 1000,
+    // Alpha Vantage free tier budgets, enforced by the request queue
+    RATE_LIMIT_PER_MINUTE: 5,
+    RATE_LIMIT_PER_DAY: 25,
+    RATE_LIMIT_RETRIES: 3,
+    RATE_LIMIT_BACKOFF: 15 * 1000, // Doubled on every retry
+    BACKGROUND_RESERVE: 10, // Daily requests refreshes and suggestions leave for searches
+    QUOTA_KEY: 'stockpulse_quota',
+    PREFERENCES_KEY: 'stockpulse_preferences',
+};
+
+// Indicator defaults; user changes are persisted under CONFIG.INDICATORS_KEY
+const DEFAULT_INDICATORS = {
+    sma: { enabled: false, period: 50 },
+    ema: { enabled: false, period: 20 },
+    bollinger: { enabled: false, period: 20, stdDev: 2 },
+    vwap: { enabled: false },
+    rsi: { enabled: false, period: 14 },
+    macd: { enabled: false, fast: 12, slow: 26, signal: 9 },
+};
+
+// Display preferences, edited in settings and persisted under
+// CONFIG.PREFERENCES_KEY. 'auto' locale follows the browser language.
+const DEFAULT_PREFERENCES = {
+    locale: 'auto',
+    dateFormat: 'medium', // 'medium' (Mon, Oct 19, 2026), 'numeric' or 'iso'
+    currencyDisplay: 'symbol', // Intl currencyDisplay: 'symbol', 'narrowSymbol' or 'code'
+    theme: 'system', // 'dark', 'light' or 'system'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIG,
+        DEFAULT_INDICATORS,
+        DEFAULT_PREFERENCES,
+    };
+}
@@ -0,0 +1,581 @@
+/**
+ * StockPulse - Data Helpers
+ * Symbols, URL state, time ranges and the math behind the charts and portfolio
+ */
+
+// Node loads the modules this one builds on; browsers get them from the
+// script tags that come before it in index.html
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config.js'), require('./calendar.js'), require('./format.js'));
+}
+
+// ============================================
+// Symbols
+// ============================================
+// Tickers with an optional exchange suffix or share class: AAPL, BRK.B,
+// BRK-B, SHOP.TRT, 7203.TYO
+const SYMBOL_PATTERN = /^[A-Z0-9]{1,10}(?:[.-][A-Z0-9]{1,6})?$/;
+
+function isValidSymbol(symbol) {
+    return typeof symbol === 'string' && SYMBOL_PATTERN.test(symbol);
+}
+
+// Upper-cases user input; null when it is not a ticker
+function normalizeSymbol(text) {
+    const symbol = String(text || '').trim().toUpperCase();
+    return isValidSymbol(symbol) ? symbol : null;
+}
+
+// Anything that is not a ticker is dropped
+function parseSymbolList(text) {
+    const symbols = text.split(/[\s,]+/)
+        .map(normalizeSymbol)
+        .filter(Boolean);
+    return [...new Set(symbols)];
+}
+
+// ============================================
+// URL State
+// ============================================
+// Everything needed to reproduce a chart lives in the query string, e.g.
+//   ?symbol=AAPL&range=6M&type=candlestick&ind=sma-50,bollinger-20-2&compare=MSFT,GOOGL
+// Intraday links add the bar size: ?symbol=AAPL&range=1D&interval=5min
+// and adjusted charts add prices=adjusted
+const TIME_RANGES = ['1D', '5D', '1W', '1M', '3M', '6M', 'YTD', '1Y', '5Y', 'MAX'];
+const CHART_TYPES = ['line', 'bar', 'area', 'candlestick', 'ohlc'];
+const PRICE_MODES = ['raw', 'adjusted'];
+
+function parseUrlState(search) {
+    const params = new URLSearchParams(search);
+    const symbol = normalizeSymbol(params.get('symbol'));
+    const range = (params.get('range') || '').toUpperCase();
+    const chartType = (params.get('type') || '').toLowerCase();
+    const interval = (params.get('interval') || '').toLowerCase();
+    const priceMode = (params.get('prices') || '').toLowerCase();
+    
+    return {
+        symbol,
+        range: TIME_RANGES.includes(range) ? range : null,
+        interval: CONFIG.INTRADAY_INTERVALS.includes(interval) ? interval : null,
+        chartType: CHART_TYPES.includes(chartType) ? chartType : null,
+        priceMode: PRICE_MODES.includes(priceMode) ? priceMode : null,
+        indicators: params.has('ind') ? parseIndicatorParam(params.get('ind')) : null,
+        compare: params.has('compare') ? parseSymbolList(params.get('compare')) : null,
+    };
+}
+
+function buildUrlSearch({ symbol, range, interval, chartType, priceMode = 'raw', indicators, compare }) {
+    const params = new URLSearchParams();
+    if (symbol) params.set('symbol', symbol);
+    params.set('range', range);
+    if (range === CONFIG.INTRADAY_RANGE && interval) params.set('interval', interval);
+    params.set('type', chartType);
+    if (priceMode !== 'raw') params.set('prices', priceMode);
+    
+    const ind = formatIndicatorParam(indicators);
+    if (ind) params.set('ind', ind);
+    if (compare.length > 0) params.set('compare', compare.join(','));
+    
+    // Commas are valid in a query string and keep pasted links readable
+    return `?${params.toString().replace(/%2C/g, ',')}`;
+}
+
+// Parameters follow the key order of DEFAULT_INDICATORS, e.g. macd-12-26-9
+function getIndicatorParamNames(name) {
+    return Object.keys(DEFAULT_INDICATORS[name]).filter(key => key !== 'enabled');
+}
+
+function formatIndicatorParam(indicators) {
+    return Object.entries(indicators)
+        .filter(([, settings]) => settings.enabled)
+        .map(([name, settings]) => [name, ...getIndicatorParamNames(name).map(param => settings[param])].join('-'))
+        .join(',');
+}
+
+// Returns full settings for every indicator; ones not listed are disabled
+function parseIndicatorParam(text) {
+    const indicators = JSON.parse(JSON.stringify(DEFAULT_INDICATORS));
+    
+    text.split(',').filter(Boolean).forEach(item => {
+        const [name, ...values] = item.split('-');
+        if (!indicators[name]) return;
+        
+        indicators[name].enabled = true;
+        getIndicatorParamNames(name).forEach((param, i) => {
+            const value = parseFloat(values[i]);
+            const isValid = param === 'stdDev' ? value > 0 : Number.isInteger(value) && value >= 1;
+            if (isValid) indicators[name][param] = value;
+        });
+    });
+    
+    return indicators;
+}
+
+// ============================================
+// Time Ranges
+// ============================================
+// Returns the first date a range covers, or null for MAX (everything)
+function getRangeStart(range, now = new Date()) {
+    now = new Date(now);
+    
+    switch (range) {
+        case '1D':
+            return new Date(now.setDate(now.getDate() - 1));
+        case '5D':
+            return new Date(now.setDate(now.getDate() - 5));
+        case '1W':
+            return new Date(now.setDate(now.getDate() - 7));
+        case '1M':
+            return new Date(now.setMonth(now.getMonth() - 1));
+        case '3M':
+            return new Date(now.setMonth(now.getMonth() - 3));
+        case '6M':
+            return new Date(now.setMonth(now.getMonth() - 6));
+        case 'YTD':
+            return new Date(now.getFullYear(), 0, 1);
+        case '1Y':
+            return new Date(now.setFullYear(now.getFullYear() - 1));
+        case '5Y':
+            return new Date(now.setFullYear(now.getFullYear() - 5));
+        case 'MAX':
+            return null;
+        default:
+            return new Date(now.setDate(now.getDate() - 7));
+    }
+}
+
+function filterDataByRange(data, range) {
+    // 1D is the latest session in the data, by exchange date
+    if (range === CONFIG.INTRADAY_RANGE) {
+        if (data.length === 0) return data;
+        const sessionStart = zonedTimeToUtc(getExchangeDayKey(data[data.length - 1].date), 0);
+        return data.filter(d => d.date.getTime() >= sessionStart);
+    }
+    
+    const startDate = getRangeStart(range);
+    if (!startDate) return data;
+    return data.filter(d => d.date >= startDate);
+}
+
+// Compact history covers ~100 trading days (about 140 calendar days)
+function rangeNeedsFullHistory(range) {
+    const startDate = getRangeStart(range);
+    if (!startDate) return true;
+    const compactDays = Math.ceil(CONFIG.COMPACT_HISTORY_DAYS * 7 / 5);
+    return Date.now() - startDate.getTime() > compactDays * 24 * 60 * 60 * 1000;
+}
+
+// Reports whether the data starts later than the range asks for. A few days
+// of slack absorb weekends and holidays at the start of the window.
+function getRangeCoverage(data, range) {
+    const startDate = getRangeStart(range);
+    if (!startDate || data.length === 0) {
+        return { truncated: false, firstDate: data.length ? data[0].date : null };
+    }
+    
+    const slack = 5 * 24 * 60 * 60 * 1000;
+    const firstDate = data[0].date;
+    return {
+        truncated: firstDate.getTime() - startDate.getTime() > slack,
+        startDate,
+        firstDate,
+    };
+}
+
+function getTimeUnit(range) {
+    switch (range) {
+        case '1D':
+            return 'hour';
+        case '5D':
+        case '1W':
+            return 'day';
+        case '1M':
+        case '3M':
+            return 'week';
+        case '5Y':
+        case 'MAX':
+            return 'year';
+        default:
+            return 'month';
+    }
+}
+
+// ============================================
+// Series Statistics
+// ============================================
+// Combines two daily series; rows in `incoming` replace rows for the same day
+function mergeHistory(existing, incoming) {
+    const byDay = new Map();
+    [...existing, ...incoming].forEach(d => {
+        byDay.set(toDayKey(d.date), d);
+    });
+    return [...byDay.values()].sort((a, b) => a.date - b.date);
+}
+
+// Percentage change of each close from the first close in the window
+function rebaseToPercent(data) {
+    if (data.length === 0) return [];
+    const base = data[0].close;
+    return data.map(d => ({ date: d.date, value: (d.close / base - 1) * 100 }));
+}
+
+function calculateReturn(data) {
+    if (data.length < 2) return 0;
+    return data[data.length - 1].close / data[0].close - 1;
+}
+
+// Annualised standard deviation of daily log returns
+function calculateVolatility(data) {
+    if (data.length < 3) return 0;
+    
+    const returns = [];
+    for (let i = 1; i < data.length; i++) {
+        returns.push(Math.log(data[i].close / data[i - 1].close));
+    }
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    
+    return Math.sqrt(variance) * Math.sqrt(CONFIG.TRADING_DAYS_PER_YEAR);
+}
+
+// Largest peak-to-trough fall, as a negative fraction
+function calculateMaxDrawdown(data) {
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    
+    data.forEach(d => {
+        peak = Math.max(peak, d.close);
+        maxDrawdown = Math.min(maxDrawdown, d.close / peak - 1);
+    });
+    
+    return maxDrawdown;
+}
+
+// Change between two bars' closes (in time order, whichever way the span
+// was dragged), the bars elapsed and the volume traded after the first bar
+// up to and including the second
+function measureRange(data, fromIndex, toIndex) {
+    const start = Math.min(fromIndex, toIndex);
+    const end = Math.max(fromIndex, toIndex);
+    const from = data[start];
+    const to = data[end];
+    const change = to.close - from.close;
+    
+    return {
+        from,
+        to,
+        change,
+        changePercent: from.close ? (change / from.close) * 100 : 0,
+        periods: end - start,
+        volume: data.slice(start + 1, end + 1).reduce((sum, d) => sum + d.volume, 0),
+    };
+}
+
+// ============================================
+// Corporate Actions
+// ============================================
+// True when every bar carries `dividend` and `split` (see lib/providers.js),
+// even if none of them pays or splits
+function hasCorporateActions(history) {
+    return history.length > 0 && history.every(d => d.dividend !== undefined && d.split !== undefined);
+}
+
+// Back-adjusts traded prices for splits and dividends, so the closes show
+// total return: each ex-date scales every earlier bar by
+// (1 - dividend / previous close) and divides it by the split ratio. The
+// dividend is quoted in post-split shares, so a split on the same ex-date
+// scales the previous close first.
+// Volume is scaled by splits only. Series without the event columns are
+// returned as they are.
+function adjustHistory(history) {
+    if (!hasCorporateActions(history)) return history;
+    
+    const adjusted = new Array(history.length);
+    let priceFactor = 1;
+    let volumeFactor = 1;
+    for (let i = history.length - 1; i >= 0; i--) {
+        const d = history[i];
+        adjusted[i] = {
+            ...d,
+            open: d.open * priceFactor,
+            high: d.high * priceFactor,
+            low: d.low * priceFactor,
+            close: d.close * priceFactor,
+            volume: Math.round(d.volume * volumeFactor),
+        };
+        
+        // Events on this bar's ex-date apply to the bars before it
+        const split = d.split > 0 ? d.split : 1;
+        if (split !== 1) {
+            priceFactor /= split;
+            volumeFactor *= split;
+        }
+        if (d.dividend > 0 && i > 0 && history[i - 1].close > 0) {
+            priceFactor *= Math.max(0, 1 - d.dividend / (history[i - 1].close / split));
+        }
+    }
+    return adjusted;
+}
+
+// How many shares one share held after `afterDay` has become through the
+// splits in the series, e.g. 4 after a 4-for-1 split
+function getSplitFactor(history, afterDay) {
+    return history.reduce((factor, d) => (d.split > 0 && toDayKey(d.date) > afterDay ? factor * d.split : factor), 1);
+}
+
+// Ex-dates in `data`, for the price chart's markers
+function getCorporateActionMarkers(data) {
+    const markers = [];
+    data.forEach(d => {
+        if (d.dividend > 0) markers.push({ date: d.date.getTime(), type: 'dividend', value: d.dividend });
+        if (d.split > 0 && d.split !== 1) markers.push({ date: d.date.getTime(), type: 'split', value: d.split });
+    });
+    return markers;
+}
+
+// ============================================
+// Export
+// ============================================
+const EXPORT_COLUMNS = ['date', 'open', 'high', 'low', 'close', 'volume'];
+
+// The rows currently on the chart. Daily bars get plain YYYY-MM-DD dates;
+// intraday bars keep the full UTC timestamp.
+function buildExportRows(history, range) {
+    const isIntraday = range === CONFIG.INTRADAY_RANGE;
+    return filterDataByRange(history, range).map(d => ({
+        date: isIntraday ? d.date.toISOString() : toDayKey(d.date),
+        open: d.open,
+        high: d.high,
+        low: d.low,
+        close: d.close,
+        volume: d.volume,
+    }));
+}
+
+function toCsv(rows, columns) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(escape).join(','))
+        .join('\n') + '\n';
+}
+
+function buildQuoteSummary({ quote, overview }, { source } = {}) {
+    const sign = quote.change >= 0 ? '+' : '';
+    const money = (value) => formatCurrency(value, overview?.currency || 'USD');
+    const lines = [
+        overview?.name && overview.name !== quote.symbol ? `${quote.symbol} - ${overview.name}` : quote.symbol,
+        `Price: ${money(quote.price)} (${sign}${money(quote.change)} / ${formatPercent(quote.changePercent)})`,
+        `Open: ${money(quote.open)} | High: ${money(quote.high)} | Low: ${money(quote.low)} | Prev Close: ${money(quote.prevClose)}`,
+        `Volume: ${formatNumber(quote.volume)}`,
+    ];
+    
+    if (overview?.high52) {
+        lines.push(`52W High: ${money(overview.high52)}`);
+    }
+    
+    const asOf = [quote.latestTradingDay && `As of ${quote.latestTradingDay}`, source && `Source: ${source}`];
+    if (asOf.some(Boolean)) {
+        lines.push(asOf.filter(Boolean).join(' | '));
+    }
+    
+    return lines.join('\n');
+}
+
+// ============================================
+// Earnings & Alerts
+// ============================================
+// 'beat' | 'miss' | 'inline', or null when there was no estimate
+function classifyEarnings(q) {
+    if (q.surprise === null || q.estimatedEPS === null || q.reportedEPS === null) return null;
+    if (q.surprise > 0) return 'beat';
+    if (q.surprise < 0) return 'miss';
+    return 'inline';
+}
+
+// Report dates in the visible window, for the price chart's markers
+function getEarningsMarkers(earnings, data) {
+    if (!earnings || data.length === 0) return [];
+    
+    const first = toDayKey(data[0].date);
+    const last = toDayKey(data[data.length - 1].date);
+    return earnings
+        .filter(q => q.reportedDate && q.reportedDate >= first && q.reportedDate <= last)
+        .map(q => ({
+            date: Date.parse(`${q.reportedDate}T00:00:00Z`),
+            result: classifyEarnings(q),
+        }));
+}
+
+// Crossing alerts compare against the previous price seen for the alert,
+// starting from the previous close, so they fire once on the way through.
+function evaluateAlert(alert, quote, high52 = null) {
+    const previous = alert.lastPrice ?? quote.prevClose;
+    
+    switch (alert.type) {
+        case 'above':
+            return previous < alert.value && quote.price >= alert.value;
+        case 'below':
+            return previous > alert.value && quote.price <= alert.value;
+        case 'move':
+            return Math.abs(quote.changePercent) >= alert.value;
+        case 'high52':
+            return high52 !== null && Math.max(quote.price, quote.high || 0) > high52;
+        default:
+            return false;
+    }
+}
+
+// ============================================
+// Portfolio
+// ============================================
+// Returns an error message, or null when the position is usable
+function validatePosition(position) {
+    if (!position || typeof position !== 'object') return 'Invalid position';
+    if (typeof position.symbol !== 'string' || !position.symbol.trim()) return 'Symbol is required';
+    if (!normalizeSymbol(position.symbol)) return 'Symbol must be a ticker such as AAPL or BRK.B';
+    if (!(position.shares > 0)) return 'Shares must be greater than zero';
+    if (!(position.price >= 0)) return 'Buy price must be zero or more';
+    if (!(position.fees >= 0)) return 'Fees must be zero or more';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(position.date) || isNaN(Date.parse(position.date))) return 'Buy date must be YYYY-MM-DD';
+    return null;
+}
+
+// `splitFactor` scales the shares bought for splits since (see getSplitFactor)
+function calculatePositionMetrics(position, quote, splitFactor = 1) {
+    const shares = position.shares * splitFactor;
+    const costBasis = position.shares * position.price + position.fees;
+    if (!quote) {
+        return { position, shares, costBasis, marketValue: null, unrealizedPnl: null, unrealizedPercent: null, dayPnl: null };
+    }
+    
+    const marketValue = shares * quote.price;
+    const unrealizedPnl = marketValue - costBasis;
+    // A position opened on the quote's session only gained since the buy
+    const boughtToday = quote.latestTradingDay && position.date === quote.latestTradingDay;
+    const dayPnl = boughtToday ? unrealizedPnl : shares * quote.change;
+    
+    return {
+        position,
+        shares,
+        costBasis,
+        marketValue,
+        unrealizedPnl,
+        unrealizedPercent: costBasis > 0 ? (unrealizedPnl / costBasis) * 100 : null,
+        dayPnl,
+    };
+}
+
+function calculatePortfolioTotals(metrics) {
+    const priced = metrics.filter(m => m.marketValue !== null);
+    const sum = (list, field) => list.reduce((total, m) => total + m[field], 0);
+    
+    const marketValue = sum(priced, 'marketValue');
+    const costBasis = sum(priced, 'costBasis');
+    const unrealizedPnl = marketValue - costBasis;
+    
+    return {
+        marketValue,
+        costBasis,
+        unrealizedPnl,
+        unrealizedPercent: costBasis > 0 ? (unrealizedPnl / costBasis) * 100 : null,
+        dayPnl: sum(priced, 'dayPnl'),
+        allocations: priced.map(m => ({
+            id: m.position.id,
+            symbol: m.position.symbol,
+            weight: marketValue > 0 ? m.marketValue / marketValue : 0,
+        })),
+    };
+}
+
+// Replays daily closes from the first buy date. Each position counts from
+// its own buy date; the last known close carries over gaps in a series.
+// Splits after the buy date multiply the shares held.
+function buildPortfolioHistory(positions, histories) {
+    if (positions.length === 0) return [];
+    
+    const firstDay = positions.map(p => p.date).sort()[0];
+    const closesBySymbol = new Map();
+    const splitsBySymbol = new Map();
+    const days = new Set();
+    
+    histories.forEach((history, symbol) => {
+        const closes = new Map();
+        const splits = new Map();
+        history.forEach(d => {
+            const day = toDayKey(d.date);
+            closes.set(day, d.close);
+            if (d.split > 0 && d.split !== 1) splits.set(day, d.split);
+            if (day >= firstDay) days.add(day);
+        });
+        closesBySymbol.set(symbol, closes);
+        splitsBySymbol.set(symbol, splits);
+    });
+    
+    const lastClose = new Map();
+    const held = new Map(positions.map(p => [p, p.shares]));
+    return [...days].sort().map(day => {
+        closesBySymbol.forEach((closes, symbol) => {
+            if (closes.has(day)) lastClose.set(symbol, closes.get(day));
+        });
+        
+        let value = 0;
+        let cost = 0;
+        positions.forEach(p => {
+            const split = splitsBySymbol.get(p.symbol)?.get(day);
+            if (split && p.date < day) held.set(p, held.get(p) * split);
+            
+            if (p.date > day || !lastClose.has(p.symbol)) return;
+            value += held.get(p) * lastClose.get(p.symbol);
+            cost += p.shares * p.price + p.fees;
+        });
+        
+        return { date: new Date(day), value, cost };
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SYMBOL_PATTERN,
+        isValidSymbol,
+        normalizeSymbol,
+        parseSymbolList,
+        TIME_RANGES,
+        CHART_TYPES,
+        PRICE_MODES,
+        parseUrlState,
+        buildUrlSearch,
+        getIndicatorParamNames,
+        formatIndicatorParam,
+        parseIndicatorParam,
+        getRangeStart,
+        filterDataByRange,
+        rangeNeedsFullHistory,
+        getRangeCoverage,
+        getTimeUnit,
+        mergeHistory,
+        rebaseToPercent,
+        calculateReturn,
+        calculateVolatility,
+        calculateMaxDrawdown,
+        measureRange,
+        hasCorporateActions,
+        adjustHistory,
+        getSplitFactor,
+        getCorporateActionMarkers,
+        EXPORT_COLUMNS,
+        buildExportRows,
+        toCsv,
+        buildQuoteSummary,
+        classifyEarnings,
+        getEarningsMarkers,
+        evaluateAlert,
+        validatePosition,
+        calculatePositionMetrics,
+        calculatePortfolioTotals,
+        buildPortfolioHistory,
+    };
+}
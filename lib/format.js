@@ -0,0 +1,218 @@
+/**
+ * StockPulse - Formatting
+ * Locale-aware number, currency and date formatting
+ */
+
+// Node loads the modules this one builds on; browsers get them from the
+// script tags that come before it in index.html
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config.js'), require('./calendar.js'));
+}
+
+// ============================================
+// Formatting
+// ============================================
+// The app hands over its preferences object, so changes made in settings
+// apply without another call
+let formatOptions = { ...DEFAULT_PREFERENCES };
+
+function setFormatOptions(options) {
+    formatOptions = options;
+}
+
+// undefined lets Intl use the browser's own locale
+function getLocale() {
+    return formatOptions.locale === 'auto' ? undefined : formatOptions.locale;
+}
+
+// Stored locales may be hand-edited or from another browser; Intl throws a
+// RangeError for malformed tags, so they are checked before use
+function isSupportedLocale(locale) {
+    if (locale === 'auto') return true;
+    try {
+        return Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Formatters follow the locale and currency display chosen in settings
+function formatCurrency(value, currency = 'USD', { digits } = {}) {
+    if (value === null || value === undefined || isNaN(value)) return '--';
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency,
+        currencyDisplay: formatOptions.currencyDisplay,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+    }).format(value);
+}
+
+function formatNumber(value) {
+    if (value === null || value === undefined || isNaN(value)) return '--';
+    return new Intl.NumberFormat(getLocale()).format(value);
+}
+
+function formatDecimal(value, digits) {
+    return new Intl.NumberFormat(getLocale(), {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+    }).format(value);
+}
+
+// `value` is already in percent (1.5 means 1.5%)
+function formatPercent(value, digits = 2, { signed = true } = {}) {
+    if (value === null || value === undefined || isNaN(value)) return '--';
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'percent',
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+        signDisplay: signed ? 'always' : 'auto',
+    }).format(value / 100);
+}
+
+function formatCompactNumber(value) {
+    return new Intl.NumberFormat(getLocale(), {
+        notation: 'compact',
+        maximumFractionDigits: value >= 1e12 ? 2 : 1,
+    }).format(value);
+}
+
+function formatCompactCurrency(value, currency = 'USD') {
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency,
+        currencyDisplay: formatOptions.currencyDisplay,
+        notation: 'compact',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: value >= 1e12 ? 2 : 1,
+    }).format(value);
+}
+
+// Formats numbers that may be missing (null) from the data source
+function formatOptional(value, format) {
+    return value === null || value === undefined || isNaN(value) ? '--' : format(value);
+}
+
+// Split coefficients as share counts: 4 -> "4-for-1", 1.5 -> "3-for-2",
+// 0.1 (a reverse split) -> "1-for-10"
+function formatSplitRatio(ratio) {
+    for (let base = 1; base <= 20; base++) {
+        const shares = ratio * base;
+        // Vendors round coefficients to four places (0.6667 for 2-for-3)
+        if (Math.abs(shares - Math.round(shares)) < 1e-3) return `${Math.round(shares)}-for-${base}`;
+    }
+    return `${formatDecimal(ratio, 4)}-for-1`;
+}
+
+function toTitleCase(text) {
+    return text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+function formatDate(date) {
+    const d = new Date(date);
+    switch (formatOptions.dateFormat) {
+        case 'iso':
+            return toDayKey(d);
+        case 'numeric':
+            return d.toLocaleDateString(getLocale(), { year: 'numeric', month: '2-digit', day: '2-digit' });
+        default:
+            return d.toLocaleDateString(getLocale(), { 
+                weekday: 'short',
+                month: 'short', 
+                day: 'numeric',
+                year: 'numeric',
+            });
+    }
+}
+
+function formatAge(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    return `${Math.floor(seconds / 86400)}d`;
+}
+
+// "Fri, Oct 17" for a YYYY-MM-DD key, without any time zone shift
+function formatDayKey(dayKey) {
+    return new Date(`${dayKey}T00:00:00Z`).toLocaleDateString(getLocale(), {
+        timeZone: 'UTC',
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+    });
+}
+
+function formatCountdown(ms) {
+    const totalMinutes = Math.max(1, Math.ceil(ms / 60000));
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+    const minutes = totalMinutes % 60;
+    
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+function formatExchangeTime(timestamp) {
+    return new Intl.DateTimeFormat(getLocale(), {
+        timeZone: CONFIG.EXCHANGE_TIMEZONE,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).format(new Date(timestamp));
+}
+
+function formatExchangeDateTime(timestamp) {
+    const date = new Intl.DateTimeFormat(getLocale(), {
+        timeZone: CONFIG.EXCHANGE_TIMEZONE,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+    }).format(new Date(timestamp));
+    return `${date}, ${formatExchangeTime(timestamp)} ET`;
+}
+
+// Labels a quote with the session it belongs to. Quotes fetched while that
+// session was still trading show the fetch time instead of "close"; `isOld`
+// flags a quote from before the latest session.
+function describeQuoteAsOf(latestTradingDay, fetchedAt, now = Date.now()) {
+    if (!latestTradingDay) {
+        return { text: `Fetched ${formatExchangeDateTime(fetchedAt)}`, isOld: false };
+    }
+    
+    const hours = getSessionHours(latestTradingDay);
+    const closeAt = hours ? zonedTimeToUtc(latestTradingDay, hours.close) : 0;
+    const isIntraday = fetchedAt < closeAt && getExchangeDayKey(fetchedAt) === latestTradingDay;
+    const text = isIntraday
+        ? `As of ${formatExchangeDateTime(Math.min(fetchedAt, now))}`
+        : `As of ${formatDayKey(latestTradingDay)} close`;
+    
+    const isOld = latestTradingDay < getLatestSessionDay(now);
+    return { text: isOld ? `${text} · not the latest session` : text, isOld };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        setFormatOptions,
+        getLocale,
+        isSupportedLocale,
+        formatCurrency,
+        formatNumber,
+        formatDecimal,
+        formatPercent,
+        formatCompactNumber,
+        formatCompactCurrency,
+        formatOptional,
+        formatSplitRatio,
+        toTitleCase,
+        formatDate,
+        formatAge,
+        formatDayKey,
+        formatCountdown,
+        formatExchangeTime,
+        formatExchangeDateTime,
+        describeQuoteAsOf,
+    };
+}
@@ -0,0 +1,141 @@
+/**
+ * StockPulse - Technical Indicators
+ * Moving averages, Bollinger Bands, VWAP, RSI and MACD
+ */
+
+// ============================================
+// Technical Indicators
+// ============================================
+// Each calculation is pure and returns an array aligned with its input,
+// holding null until enough data points exist for the first value.
+
+function assertPeriod(period) {
+    if (!Number.isInteger(period) || period < 1) {
+        throw new RangeError(`Invalid indicator period: ${period}`);
+    }
+}
+
+function calculateSMA(values, period) {
+    assertPeriod(period);
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) result[i] = sum / period;
+    }
+    
+    return result;
+}
+
+// Seeded with the SMA of the first `period` values. Leading nulls (e.g. the
+// MACD line before the slow EMA exists) are skipped.
+function calculateEMA(values, period) {
+    assertPeriod(period);
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(v => v !== null && v !== undefined);
+    if (start === -1 || values.length - start < period) return result;
+    
+    const k = 2 / (period + 1);
+    let ema = 0;
+    for (let i = start; i < start + period; i++) {
+        ema += values[i];
+    }
+    ema /= period;
+    result[start + period - 1] = ema;
+    
+    for (let i = start + period; i < values.length; i++) {
+        ema = values[i] * k + ema * (1 - k);
+        result[i] = ema;
+    }
+    
+    return result;
+}
+
+function calculateBollingerBands(values, period = 20, stdDev = 2) {
+    const middle = calculateSMA(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+    
+    for (let i = period - 1; i < values.length; i++) {
+        const mean = middle[i];
+        let variance = 0;
+        for (let j = i - period + 1; j <= i; j++) {
+            variance += (values[j] - mean) ** 2;
+        }
+        const deviation = Math.sqrt(variance / period);
+        upper[i] = mean + stdDev * deviation;
+        lower[i] = mean - stdDev * deviation;
+    }
+    
+    return { upper, middle, lower };
+}
+
+// Anchored to the first row passed in, so callers pick the session window
+function calculateVWAP(rows) {
+    let cumulativeValue = 0;
+    let cumulativeVolume = 0;
+    
+    return rows.map(d => {
+        const typicalPrice = (d.high + d.low + d.close) / 3;
+        cumulativeValue += typicalPrice * d.volume;
+        cumulativeVolume += d.volume;
+        return cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+    });
+}
+
+// Wilder's smoothing, as in the original RSI definition
+function calculateRSI(values, period = 14) {
+    assertPeriod(period);
+    const result = new Array(values.length).fill(null);
+    if (values.length <= period) return result;
+    
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = values[i] - values[i - 1];
+        if (change > 0) avgGain += change;
+        else avgLoss -= change;
+    }
+    avgGain /= period;
+    avgLoss /= period;
+    
+    const rsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+    result[period] = rsi();
+    
+    for (let i = period + 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+        result[i] = rsi();
+    }
+    
+    return result;
+}
+
+function calculateMACD(values, fast = 12, slow = 26, signal = 9) {
+    const fastEma = calculateEMA(values, fast);
+    const slowEma = calculateEMA(values, slow);
+    const macd = values.map((v, i) =>
+        fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+    );
+    const signalLine = calculateEMA(macd, signal);
+    const histogram = macd.map((v, i) =>
+        v !== null && signalLine[i] !== null ? v - signalLine[i] : null
+    );
+    
+    return { macd, signal: signalLine, histogram };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        assertPeriod,
+        calculateSMA,
+        calculateEMA,
+        calculateBollingerBands,
+        calculateVWAP,
+        calculateRSI,
+        calculateMACD,
+    };
+}
@@ -0,0 +1,955 @@
+/**
+ * StockPulse - Data Providers
+ * Alpha Vantage client, request queue, snapshot and demo data sources
+ */
+
+// Node loads the modules this one builds on; browsers get them from the
+// script tags that come before it in index.html
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config.js'), require('./calendar.js'), require('./data.js'));
+}
+
+// ============================================
+// API Errors
+// ============================================
+// Alpha Vantage answers most failures with HTTP 200 and a JSON body holding
+// `Error Message`, `Note` or `Information` instead of data. Every failure
+// becomes an ApiError whose `code` picks the message shown to the user and
+// whether offering a retry makes sense.
+const API_ERRORS = {
+    'missing-key': { message: 'An Alpha Vantage API key is required', retryable: false },
+    'invalid-key': { message: 'Alpha Vantage rejected the API key. Check it in Settings.', retryable: false },
+    'invalid-symbol': { message: 'Alpha Vantage does not recognise this symbol', retryable: false },
+    'no-data': { message: 'No data found for this symbol', retryable: false },
+    'premium': { message: 'This data needs a premium Alpha Vantage plan', retryable: false },
+    'rate-limit': { message: 'API rate limit reached. Please wait a minute or use demo mode.', retryable: true },
+    'daily-limit': { message: 'Daily API limit reached. Please try again tomorrow or use demo mode.', retryable: false },
+    'unavailable': { message: 'Alpha Vantage could not answer this request right now', retryable: true },
+    'http': { message: 'Alpha Vantage returned an error', retryable: true },
+    'bad-response': { message: 'Alpha Vantage sent a response that could not be read', retryable: true },
+    'network': { message: 'Could not reach Alpha Vantage. Check your connection.', retryable: true },
+    'offline': { message: 'You are offline', retryable: true },
+};
+
+class ApiError extends Error {
+    // `message` overrides the default text for the code; `detail` keeps the
+    // vendor's own wording for the console
+    constructor(code, { message, detail = null, status = null } = {}) {
+        const { message: defaultMessage, retryable } = API_ERRORS[code];
+        super(message || (status ? `${defaultMessage} (HTTP ${status})` : defaultMessage));
+        this.name = 'ApiError';
+        this.code = code;
+        this.retryable = retryable;
+        this.detail = detail;
+        this.status = status;
+    }
+}
+
+// Returns the ApiError an Alpha Vantage response body stands for, or null
+// when it holds data
+function getAlphaVantageError(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return new ApiError('bad-response');
+    }
+    
+    const detail = data['Error Message'] || data['Note'] || data['Information'];
+    if (!detail) return null;
+    
+    // Rate-limit messages also mention the key ("We have detected your API
+    // key as ..."), so only the wording of a rejected key counts here
+    if (/apikey is invalid|invalid api ?key|claim your free api key/i.test(detail)) {
+        return new ApiError('invalid-key', { detail });
+    }
+    if (data['Error Message']) return new ApiError('invalid-symbol', { detail });
+    // Throttle messages link to the premium plans, so check them first.
+    // "5 calls per minute and 500 calls per day" is a per-minute throttle.
+    if (/per (minute|second)|sparingly/i.test(detail)) return new ApiError('rate-limit', { detail });
+    if (/per day|daily rate limit/i.test(detail)) return new ApiError('daily-limit', { detail });
+    if (/premium/i.test(detail)) return new ApiError('premium', { detail });
+    if (data['Note']) return new ApiError('rate-limit', { detail });
+    return new ApiError('unavailable', { detail });
+}
+
+function assertAlphaVantageData(data) {
+    const error = getAlphaVantageError(data);
+    if (error) throw error;
+}
+
+// fetch() that reports network, HTTP and parse failures as ApiErrors
+async function fetchApiJson(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new ApiError('network', { detail: error.message });
+    }
+    
+    if (!response.ok) {
+        throw new ApiError('http', { status: response.status });
+    }
+    
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new ApiError('bad-response', { detail: error.message });
+    }
+}
+
+// ============================================
+// Request Queue
+// ============================================
+// Serialises Alpha Vantage requests within the per-minute and per-day
+// budgets, shares in-flight requests for the same URL and retries throttle
+// responses with exponential backoff. `now`, `setTimer` and `fetchJson` are
+// injectable so the timing can be driven by fake timers in tests.
+function createRequestQueue(options = {}) {
+    const {
+        perMinute = CONFIG.RATE_LIMIT_PER_MINUTE,
+        perDay = CONFIG.RATE_LIMIT_PER_DAY,
+        maxRetries = CONFIG.RATE_LIMIT_RETRIES,
+        backoff = CONFIG.RATE_LIMIT_BACKOFF,
+        now = () => Date.now(),
+        setTimer = (fn, ms) => setTimeout(fn, ms),
+        fetchJson = fetchApiJson,
+        storage = null,
+        onChange = () => {},
+    } = options;
+    
+    const pending = [];
+    const inFlight = new Map();
+    let sentTimes = [];
+    let day = loadDay();
+    let timerActive = false;
+    
+    function today() {
+        return new Date(now()).toISOString().slice(0, 10);
+    }
+    
+    function loadDay() {
+        try {
+            const saved = storage && JSON.parse(storage.getItem(CONFIG.QUOTA_KEY));
+            if (saved && saved.date === today()) return saved;
+        } catch (error) {
+            console.warn('Ignoring invalid quota record:', error);
+        }
+        return { date: today(), count: 0 };
+    }
+    
+    function saveDay() {
+        if (storage) storage.setItem(CONFIG.QUOTA_KEY, JSON.stringify(day));
+    }
+    
+    function rollDay() {
+        if (day.date !== today()) {
+            day = { date: today(), count: 0 };
+            saveDay();
+        }
+    }
+    
+    function getRemaining() {
+        rollDay();
+        const windowStart = now() - 60 * 1000;
+        sentTimes = sentTimes.filter(t => t > windowStart);
+        return {
+            minute: Math.max(0, perMinute - sentTimes.length),
+            day: Math.max(0, perDay - day.count),
+            queued: pending.length,
+        };
+    }
+    
+    // Premium-only endpoints and bad keys also answer with `Information`;
+    // retrying won't help those
+    function isThrottled(data) {
+        const error = getAlphaVantageError(data);
+        return Boolean(error) && ['rate-limit', 'daily-limit', 'unavailable'].includes(error.code);
+    }
+    
+    function isDailyLimit(data) {
+        return getAlphaVantageError(data).code === 'daily-limit';
+    }
+    
+    function pump() {
+        if (timerActive) return;
+        
+        while (pending.length > 0) {
+            const remaining = getRemaining();
+            
+            if (remaining.day === 0) {
+                const error = new ApiError('daily-limit');
+                pending.splice(0).forEach(job => job.reject(error));
+                break;
+            }
+            
+            if (remaining.minute === 0) {
+                // Wait for the oldest request to leave the one-minute window
+                timerActive = true;
+                setTimer(() => {
+                    timerActive = false;
+                    pump();
+                }, sentTimes[0] + 60 * 1000 - now());
+                break;
+            }
+            
+            send(pending.shift());
+        }
+        
+        onChange(getRemaining());
+    }
+    
+    async function send(job) {
+        sentTimes.push(now());
+        day.count++;
+        saveDay();
+        
+        try {
+            const data = await fetchJson(job.url);
+            
+            if (!isThrottled(data)) {
+                job.resolve(data);
+            } else if (isDailyLimit(data)) {
+                day.count = perDay;
+                saveDay();
+                job.reject(new ApiError('daily-limit'));
+            } else if (job.attempt < maxRetries) {
+                const delay = backoff * 2 ** job.attempt;
+                job.attempt++;
+                setTimer(() => {
+                    pending.unshift(job);
+                    pump();
+                }, delay);
+            } else {
+                job.reject(new ApiError('rate-limit'));
+            }
+        } catch (error) {
+            job.reject(error);
+        } finally {
+            onChange(getRemaining());
+        }
+    }
+    
+    function request(url) {
+        if (inFlight.has(url)) return inFlight.get(url);
+        
+        const promise = new Promise((resolve, reject) => {
+            pending.push({ url, resolve, reject, attempt: 0 });
+        }).finally(() => inFlight.delete(url));
+        
+        inFlight.set(url, promise);
+        pump();
+        return promise;
+    }
+    
+    return { request, getRemaining };
+}
+
+// Whether a refresh nobody asked for may spend a request, keeping `reserve`
+// of the day's budget (less what is already queued) for the user
+function hasBackgroundBudget(remaining, reserve = CONFIG.BACKGROUND_RESERVE) {
+    return remaining.day - remaining.queued > reserve;
+}
+
+// ============================================
+// Data Providers
+// ============================================
+// A provider turns one vendor's responses into the shapes the UI renders:
+//   quote    { symbol, price, change, changePercent, open, high, low,
+//              volume, prevClose, latestTradingDay }
+//   history  [{ date, open, high, low, close, volume }], oldest first.
+//            Series that know about corporate actions add `dividend` (cash
+//            per share, 0 if none) and `split` (ratio, 1 if none) to every
+//            bar; prices stay as traded (see adjustHistory)
+//   intraday the same bars at minute resolution, extended hours included
+//   overview { name, sector, industry, description, exchange, high52, low52,
+//              marketCap, peRatio, eps, dividendYield, beta, analystTarget,
+//              sharesOutstanding, currency } - null when unknown
+//   earnings [{ fiscalDateEnding, reportedDate, estimatedEPS, reportedEPS,
+//              surprise, surprisePercent }], newest first
+// `cacheable` providers spend API requests, so the app's fetch functions
+// keep their results in the cache; `requiresKey` ones need an API key;
+// `adjustable` ones can return history with dividends and splits.
+
+// Offline requests fail straight away instead of using up the daily budget
+function createAlphaVantageProvider({ apiBase, getApiKey, queue, isOnline = () => true }) {
+    function request(params, apiKey = getApiKey()) {
+        if (!apiKey) {
+            return Promise.reject(new ApiError('missing-key'));
+        }
+        if (!isOnline()) {
+            return Promise.reject(new ApiError('offline'));
+        }
+        // Never spend a request on something that cannot be a ticker
+        if (params.symbol !== undefined && !isValidSymbol(params.symbol)) {
+            return Promise.reject(new ApiError('invalid-symbol'));
+        }
+        
+        const url = new URL(apiBase);
+        Object.entries({ ...params, apikey: apiKey }).forEach(([name, value]) => {
+            url.searchParams.set(name, value);
+        });
+        return queue.request(url.toString());
+    }
+    
+    return {
+        id: 'alphavantage',
+        name: 'Alpha Vantage',
+        requiresKey: true,
+        cacheable: true,
+        adjustable: true,
+        
+        async getQuote(symbol) {
+            return parseAlphaVantageQuote(await request({ function: 'GLOBAL_QUOTE', symbol }));
+        },
+        
+        // `adjusted` asks for the series with dividends and splits, which
+        // Alpha Vantage only serves to premium keys
+        async getHistory(symbol, { full = false, adjusted = false } = {}) {
+            const data = await request({
+                function: adjusted ? 'TIME_SERIES_DAILY_ADJUSTED' : 'TIME_SERIES_DAILY',
+                symbol,
+                outputsize: full ? 'full' : 'compact',
+            });
+            return parseAlphaVantageDaily(data, { full, adjusted });
+        },
+        
+        async getIntraday(symbol, { interval }) {
+            const data = await request({
+                function: 'TIME_SERIES_INTRADAY',
+                symbol,
+                interval,
+                outputsize: 'full',
+                extended_hours: 'true',
+            });
+            return parseAlphaVantageIntraday(data, interval);
+        },
+        
+        async getOverview(symbol) {
+            return parseAlphaVantageOverview(await request({ function: 'OVERVIEW', symbol }), symbol);
+        },
+        
+        async getEarnings(symbol) {
+            return parseAlphaVantageEarnings(await request({ function: 'EARNINGS', symbol }));
+        },
+        
+        async searchSymbols(keywords) {
+            return parseSymbolSearch(await request({ function: 'SYMBOL_SEARCH', keywords }));
+        },
+        
+        // Spends one request; IBM is the symbol every key (even "demo") can query
+        async testKey(apiKey) {
+            const data = await request({ function: 'GLOBAL_QUOTE', symbol: 'IBM' }, apiKey);
+            if (data['Error Message']) {
+                throw new ApiError('invalid-key', { detail: data['Error Message'] });
+            }
+            return parseAlphaVantageQuote(data);
+        },
+    };
+}
+
+function parseAlphaVantageQuote(data) {
+    assertAlphaVantageData(data);
+    
+    // Unknown symbols often come back as an empty "Global Quote": {}
+    const quote = data['Global Quote'];
+    if (!quote || Object.keys(quote).length === 0) {
+        throw new ApiError('no-data');
+    }
+    
+    return {
+        symbol: quote['01. symbol'],
+        price: parseFloat(quote['05. price']),
+        change: parseFloat(quote['09. change']),
+        changePercent: parseFloat(quote['10. change percent'].replace('%', '')),
+        open: parseFloat(quote['02. open']),
+        high: parseFloat(quote['03. high']),
+        low: parseFloat(quote['04. low']),
+        volume: parseInt(quote['06. volume']),
+        prevClose: parseFloat(quote['08. previous close']),
+        latestTradingDay: quote['07. latest trading day'],
+    };
+}
+
+// The adjusted series is read for its dividend and split columns only; the
+// vendor's adjusted close is recomputed by adjustHistory so that merged
+// series stay consistent.
+function parseAlphaVantageDaily(data, { full = false, adjusted = false } = {}) {
+    const error = getAlphaVantageError(data);
+    if (error && error.code === 'premium' && adjusted) {
+        throw new ApiError('premium', {
+            message: 'Adjusted prices need a premium API key',
+            detail: error.detail,
+        });
+    }
+    if (error && error.code === 'premium' && full) {
+        throw new ApiError('premium', {
+            message: 'Full history needs a premium API key; showing the latest 100 days',
+            detail: error.detail,
+        });
+    }
+    if (error) throw error;
+    
+    const timeSeries = data['Time Series (Daily)'];
+    if (!timeSeries) {
+        throw new ApiError('no-data', { message: 'No historical data found' });
+    }
+    
+    return Object.entries(timeSeries).map(([date, values]) => {
+        const bar = {
+            date: new Date(date),
+            open: parseFloat(values['1. open']),
+            high: parseFloat(values['2. high']),
+            low: parseFloat(values['3. low']),
+            close: parseFloat(values['4. close']),
+            volume: parseInt(adjusted ? values['6. volume'] : values['5. volume']),
+        };
+        if (adjusted) {
+            bar.dividend = parseFloat(values['7. dividend amount']) || 0;
+            bar.split = parseFloat(values['8. split coefficient']) || 1;
+        }
+        return bar;
+    }).sort((a, b) => a.date - b.date);
+}
+
+// Intraday timestamps are wall-clock times in the zone named in the
+// metadata (US/Eastern), not UTC
+function parseAlphaVantageIntraday(data, interval) {
+    assertAlphaVantageData(data);
+    
+    const timeSeries = data[`Time Series (${interval})`];
+    if (!timeSeries) {
+        throw new ApiError('no-data', { message: 'No intraday data found' });
+    }
+    
+    const metaZone = data['Meta Data'] && data['Meta Data']['6. Time Zone'];
+    const timeZone = metaZone === 'US/Eastern' || !metaZone ? CONFIG.EXCHANGE_TIMEZONE : metaZone;
+    
+    return Object.entries(timeSeries).map(([timestamp, values]) => {
+        const [day, time] = timestamp.split(' ');
+        const [hours, minutes] = time.split(':').map(Number);
+        return {
+            date: new Date(zonedTimeToUtc(day, hours * 60 + minutes, timeZone)),
+            open: parseFloat(values['1. open']),
+            high: parseFloat(values['2. high']),
+            low: parseFloat(values['3. low']),
+            close: parseFloat(values['4. close']),
+            volume: parseInt(values['5. volume']),
+        };
+    }).sort((a, b) => a.date - b.date);
+}
+
+function parseAlphaVantageOverview(data, symbol) {
+    if (data['Error Message'] || !data.Name) {
+        return { name: symbol };
+    }
+    
+    // Missing values arrive as "None" or "-"
+    const text = (value) => (value && value !== 'None' && value !== '-' ? value : null);
+    
+    return {
+        name: data.Name,
+        sector: text(data.Sector),
+        industry: text(data.Industry),
+        description: text(data.Description),
+        exchange: text(data.Exchange),
+        currency: /^[A-Z]{3}$/.test(data.Currency) ? data.Currency : null,
+        high52: parseOptionalNumber(data['52WeekHigh']),
+        low52: parseOptionalNumber(data['52WeekLow']),
+        marketCap: parseOptionalNumber(data.MarketCapitalization),
+        peRatio: parseOptionalNumber(data.PERatio),
+        eps: parseOptionalNumber(data.EPS),
+        dividendYield: parseOptionalNumber(data.DividendYield),
+        beta: parseOptionalNumber(data.Beta),
+        analystTarget: parseOptionalNumber(data.AnalystTargetPrice),
+        sharesOutstanding: parseOptionalNumber(data.SharesOutstanding),
+    };
+}
+
+function parseAlphaVantageEarnings(data) {
+    assertAlphaVantageData(data);
+    if (!Array.isArray(data.quarterlyEarnings)) {
+        throw new ApiError('no-data', { message: 'No earnings data found' });
+    }
+    
+    return data.quarterlyEarnings.map(q => ({
+        fiscalDateEnding: q.fiscalDateEnding,
+        reportedDate: q.reportedDate || null,
+        estimatedEPS: parseOptionalNumber(q.estimatedEPS),
+        reportedEPS: parseOptionalNumber(q.reportedEPS),
+        surprise: parseOptionalNumber(q.surprise),
+        surprisePercent: parseOptionalNumber(q.surprisePercentage),
+    })).sort((a, b) => b.fiscalDateEnding.localeCompare(a.fiscalDateEnding));
+}
+
+function parseOptionalNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function parseSymbolSearch(data) {
+    if (data['Error Message'] || !Array.isArray(data.bestMatches)) {
+        return [];
+    }
+    
+    return data.bestMatches.map(match => ({
+        symbol: match['1. symbol'],
+        name: match['2. name'],
+        type: match['3. type'],
+        region: match['4. region'],
+        currency: match['8. currency'],
+        matchScore: parseFloat(match['9. matchScore']) || 0,
+    }));
+}
+
+// Serves the symbols in the committed data/stocks.json (see parseSnapshot)
+function createSnapshotProvider({ getSnapshot }) {
+    function getStock(symbol) {
+        const snapshot = getSnapshot();
+        return snapshot ? snapshot.stocks[symbol] || null : null;
+    }
+    
+    function requireStock(symbol) {
+        const stock = getStock(symbol);
+        if (!stock) {
+            throw new Error(`${symbol} is not in the snapshot`);
+        }
+        return stock;
+    }
+    
+    return {
+        id: 'snapshot',
+        name: 'Snapshot',
+        requiresKey: false,
+        cacheable: false,
+        adjustable: false,
+        
+        hasSymbol: (symbol) => Boolean(getStock(symbol)),
+        hasHistory: (symbol) => Boolean(getStock(symbol)?.history.length),
+        
+        async getQuote(symbol) {
+            return requireStock(symbol).quote;
+        },
+        
+        async getHistory(symbol) {
+            return requireStock(symbol).history;
+        },
+        
+        async getIntraday() {
+            throw new Error('The snapshot has no intraday data');
+        },
+        
+        async getOverview(symbol) {
+            return { name: requireStock(symbol).quote.name || symbol };
+        },
+        
+        async getEarnings() {
+            throw new Error('The snapshot has no earnings data');
+        },
+        
+        async searchSymbols(keywords) {
+            const snapshot = getSnapshot();
+            const upper = keywords.toUpperCase();
+            return (snapshot ? snapshot.symbols : [])
+                .filter(symbol => symbol.startsWith(upper))
+                .map(symbol => ({ symbol, name: '', type: 'Snapshot', region: '', currency: '' }));
+        },
+    };
+}
+
+// Offline data seeded from the symbol, so every ticker gets its own series
+// and the same ticker looks the same on every load
+function createMockProvider({ days = 365 } = {}) {
+    return {
+        id: 'mock',
+        name: 'Offline mock',
+        requiresKey: false,
+        cacheable: false,
+        adjustable: true,
+        
+        async getQuote(symbol) {
+            return buildMockQuote(symbol, generateMockHistory(symbol, days));
+        },
+        
+        async getHistory(symbol) {
+            return generateMockHistory(symbol, days);
+        },
+        
+        async getIntraday(symbol, { interval }) {
+            return generateMockIntraday(symbol, interval);
+        },
+        
+        async getOverview(symbol) {
+            return buildMockOverview(symbol, generateMockHistory(symbol, days));
+        },
+        
+        async getEarnings(symbol) {
+            return generateMockEarnings(symbol, generateMockHistory(symbol, days));
+        },
+        
+        async searchSymbols(keywords) {
+            const symbol = keywords.toUpperCase();
+            return [{ symbol, name: `${symbol} Corporation (Demo)`, type: 'Equity', region: 'United States', currency: 'USD' }];
+        },
+    };
+}
+
+// FNV-1a string hash feeding a mulberry32 generator
+function createSeededRandom(seedText) {
+    let seed = 2166136261;
+    for (let i = 0; i < seedText.length; i++) {
+        seed ^= seedText.charCodeAt(i);
+        seed = Math.imul(seed, 16777619);
+    }
+    
+    return function random() {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal draw (Box-Muller) from a uniform generator
+function randomNormal(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+// Volatility and volume multipliers per market regime, and the daily odds
+// of moving to another one
+const MOCK_REGIMES = {
+    calm: { volatility: 0.6, volume: 0.8, next: { normal: 0.03 } },
+    normal: { volatility: 1, volume: 1, next: { calm: 0.025, turbulent: 0.012 } },
+    turbulent: { volatility: 2.2, volume: 1.7, next: { normal: 0.08 } },
+};
+
+function nextMockRegime(regime, roll) {
+    let threshold = 0;
+    for (const [next, odds] of Object.entries(MOCK_REGIMES[regime].next)) {
+        threshold += odds;
+        if (roll < threshold) return next;
+    }
+    return regime;
+}
+
+// Simulated series per `${symbol}:${lastDay}`; every demo request reuses it
+const mockSeries = new Map();
+
+// Demo bars come from a market simulation seeded by the symbol. It always
+// starts on CONFIG.MOCK_HISTORY_START, so a day's bar is the same on every
+// visit and time only appends new days. Each symbol draws its own starting
+// price, drift, volatility and volume; the simulation then drifts between
+// calm, normal and turbulent regimes, opens with the odd news gap and
+// trades heavier volume on big moves. Most symbols also pay a quarterly
+// dividend, and any that trade above their split price split the next day.
+function simulateMockSeries(symbol, lastDay) {
+    const cacheKey = `${symbol}:${lastDay}`;
+    if (mockSeries.has(cacheKey)) return mockSeries.get(cacheKey);
+    
+    const random = createSeededRandom(symbol);
+    const drift = (-0.03 + random() * 0.13) / CONFIG.TRADING_DAYS_PER_YEAR;
+    const baseVolatility = (0.18 + random() * 0.37) / Math.sqrt(CONFIG.TRADING_DAYS_PER_YEAR);
+    let baseVolume = 2e6 + random() * 60e6;
+    let close = 15 + random() * 185;
+    let regime = 'normal';
+    
+    // Corporate actions have their own generator, so they don't shift the
+    // daily moves drawn from `random`
+    const actions = createSeededRandom(`${symbol}:actions`);
+    const quarterlyYield = actions() < 0.4 ? 0 : (0.005 + actions() * 0.03) / 4;
+    const exDividendMonth = Math.floor(actions() * 3);
+    const splitAbove = 250 + actions() * 350;
+    let lastExDividend = '';
+    let pendingSplit = 1;
+    
+    const history = [];
+    for (let dayKey = CONFIG.MOCK_HISTORY_START; dayKey <= lastDay; dayKey = addDaysToKey(dayKey, 1)) {
+        // Weekends and exchange holidays have no bars
+        if (!isTradingDay(dayKey)) continue;
+        
+        // Both actions lower the reference price the stock opens from
+        const split = pendingSplit;
+        close /= split;
+        baseVolume *= split;
+        pendingSplit = 1;
+        
+        // The first session from the 10th of every third month goes ex-dividend
+        let dividend = 0;
+        const month = dayKey.slice(0, 7);
+        const isExDividendMonth = (parseInt(dayKey.slice(5, 7), 10) - 1) % 3 === exDividendMonth;
+        if (quarterlyYield > 0 && isExDividendMonth && dayKey.slice(8) >= '10' && month !== lastExDividend) {
+            dividend = Math.round(close * quarterlyYield * 100) / 100;
+            close -= dividend;
+            lastExDividend = month;
+        }
+        
+        regime = nextMockRegime(regime, random());
+        const sigma = baseVolatility * MOCK_REGIMES[regime].volatility;
+        
+        // Overnight moves are usually small; about once a quarter news
+        // opens the stock 3-10% away from the last close
+        const isNewsGap = random() < 0.015;
+        const gap = isNewsGap
+            ? Math.sign(random() - 0.5) * (0.03 + random() * 0.07)
+            : randomNormal(random) * sigma * 0.3;
+        const open = close * Math.exp(gap);
+        const next = Math.max(0.5, open * Math.exp(drift + randomNormal(random) * sigma));
+        const high = Math.max(open, next) * (1 + Math.abs(randomNormal(random)) * sigma * 0.4);
+        const low = Math.min(open, next) * (1 - Math.min(0.5, Math.abs(randomNormal(random)) * sigma * 0.4));
+        
+        // Volume follows the size of the move, with occasional unexplained spikes
+        const move = Math.abs(Math.log(next / close)) / sigma;
+        const spike = isNewsGap ? 2.5 + random() * 3 : (random() < 0.02 ? 2 + random() * 2 : 1);
+        const volume = baseVolume * MOCK_REGIMES[regime].volume * (0.7 + 0.3 * move)
+            * Math.exp(randomNormal(random) * 0.25) * spike;
+        
+        history.push({
+            date: new Date(`${dayKey}T00:00:00Z`),
+            open,
+            high,
+            low,
+            close: next,
+            volume: Math.floor(volume),
+            dividend,
+            split,
+        });
+        close = next;
+        
+        if (close > splitAbove) {
+            pendingSplit = close > splitAbove * 2 ? 4 : (close > splitAbove * 1.5 ? 3 : 2);
+        }
+    }
+    
+    mockSeries.set(cacheKey, history);
+    return history;
+}
+
+// The last `days` calendar days of the symbol's simulated series, up to the
+// latest session at `end`
+function generateMockHistory(symbol, days = CONFIG.MOCK_HISTORY_DAYS, end = new Date()) {
+    const lastDay = getLatestSessionDay(new Date(end).getTime());
+    const firstDay = new Date(`${addDaysToKey(lastDay, -days)}T00:00:00Z`);
+    return simulateMockSeries(symbol, lastDay).filter(d => d.date >= firstDay);
+}
+
+// One session of minute bars for the mock daily bar of that day: the price
+// starts from the previous close and is bent so the regular session opens
+// and closes where the daily bar does. Bars stop at `now` while the session
+// is still running.
+function generateMockIntraday(symbol, interval, now = Date.now()) {
+    const step = parseInt(interval, 10);
+    
+    let day = getExchangeDayKey(now);
+    const todayHours = getSessionHours(day);
+    if (!todayHours || getZonedMinutes(now) < todayHours.preMarket) {
+        day = getPreviousTradingDay(day);
+    }
+    const { preMarket, postMarket, open, close } = getSessionHours(day);
+    
+    const daily = generateMockHistory(symbol);
+    const previous = daily.filter(d => toDayKey(d.date) < day).pop();
+    const session = daily.find(d => toDayKey(d.date) === day);
+    const random = createSeededRandom(`${symbol}:${day}:${interval}`);
+    const baseVolume = session ? session.volume / ((close - open) / step) : 1e5;
+    
+    // Random walk for the whole session first, so the bend can be measured
+    const walk = [];
+    let price = previous ? previous.close : 100;
+    for (let minute = preMarket; minute < postMarket; minute += step) {
+        const isRegular = minute >= open && minute < close;
+        const volatility = (isRegular ? 0.0015 : 0.0006) * Math.sqrt(step);
+        const barOpen = price;
+        const barClose = barOpen * Math.exp(randomNormal(random) * volatility);
+        walk.push({
+            minute,
+            isRegular,
+            open: barOpen,
+            high: Math.max(barOpen, barClose) * (1 + random() * volatility / 2),
+            low: Math.min(barOpen, barClose) * (1 - random() * volatility / 2),
+            close: barClose,
+        });
+        price = barClose;
+    }
+    
+    // Log-price offsets that reach the daily open by 9:30 and the daily close
+    // by the closing bell, spread evenly across the bars in between
+    const priceAt = (minute) => (walk.find(bar => bar.minute >= minute) || walk[walk.length - 1]).open;
+    const openShift = session ? Math.log(session.open / priceAt(open)) : 0;
+    const closeShift = session ? Math.log(session.close / priceAt(close)) : 0;
+    const shiftAt = (minute) => {
+        if (minute <= open) return openShift * (minute - preMarket) / (open - preMarket);
+        if (minute <= close) return openShift + (closeShift - openShift) * (minute - open) / (close - open);
+        return closeShift;
+    };
+    
+    const bars = [];
+    for (const bar of walk) {
+        const timestamp = zonedTimeToUtc(day, bar.minute, CONFIG.EXCHANGE_TIMEZONE);
+        if (timestamp > now) break;
+        
+        const startFactor = Math.exp(shiftAt(bar.minute));
+        const endFactor = Math.exp(shiftAt(bar.minute + step));
+        const barOpen = bar.open * startFactor;
+        const barClose = bar.close * endFactor;
+        bars.push({
+            date: new Date(timestamp),
+            open: barOpen,
+            high: Math.max(bar.high * startFactor, barOpen, barClose),
+            low: Math.min(bar.low * startFactor, barOpen, barClose),
+            close: barClose,
+            volume: Math.floor(baseVolume * (bar.isRegular ? 0.5 + random() : 0.02 + random() * 0.1)),
+        });
+    }
+    
+    return bars;
+}
+
+const MOCK_SECTORS = [
+    ['TECHNOLOGY', 'SERVICES-PREPACKAGED SOFTWARE'],
+    ['HEALTHCARE', 'PHARMACEUTICAL PREPARATIONS'],
+    ['FINANCIAL SERVICES', 'NATIONAL COMMERCIAL BANKS'],
+    ['ENERGY', 'PETROLEUM REFINING'],
+    ['CONSUMER CYCLICAL', 'RETAIL-CATALOG & MAIL-ORDER HOUSES'],
+    ['INDUSTRIALS', 'AIRCRAFT ENGINES & ENGINE PARTS'],
+];
+
+// Valuation figures are derived from the generated prices so they stay
+// consistent with the chart
+function buildMockOverview(symbol, history) {
+    const random = createSeededRandom(`${symbol}:overview`);
+    const lastYear = history.slice(-CONFIG.TRADING_DAYS_PER_YEAR);
+    const price = history[history.length - 1].close;
+    const [sector, industry] = MOCK_SECTORS[Math.floor(random() * MOCK_SECTORS.length)];
+    const peRatio = 8 + random() * 40;
+    const sharesOutstanding = Math.round((0.2 + random() * 5) * 1e9);
+    
+    return {
+        name: `${symbol} Corporation (Demo)`,
+        sector,
+        industry,
+        description: `${symbol} Corporation is a simulated company. Its prices, fundamentals and earnings are generated offline for demo mode.`,
+        exchange: 'NASDAQ',
+        currency: 'USD',
+        high52: Math.max(...lastYear.map(d => d.high)),
+        low52: Math.min(...lastYear.map(d => d.low)),
+        marketCap: price * sharesOutstanding,
+        peRatio,
+        eps: price / peRatio,
+        dividendYield: lastYear.reduce((sum, d) => sum + d.dividend, 0) / price,
+        beta: 0.5 + random() * 1.5,
+        analystTarget: price * (0.9 + random() * 0.35),
+        sharesOutstanding,
+    };
+}
+
+// Quarterly reports land a few weeks after each calendar quarter ends
+function generateMockEarnings(symbol, history) {
+    const random = createSeededRandom(`${symbol}:earnings`);
+    const lastDay = toDayKey(history[history.length - 1].date);
+    const annualEps = buildMockOverview(symbol, history).eps;
+    const earnings = [];
+    
+    const quarterEnd = new Date(`${lastDay}T00:00:00Z`);
+    quarterEnd.setUTCDate(1);
+    quarterEnd.setUTCMonth(quarterEnd.getUTCMonth() - (quarterEnd.getUTCMonth() % 3));
+    
+    for (let i = 0; earnings.length < CONFIG.EARNINGS_ROWS && i < CONFIG.EARNINGS_ROWS * 2; i++) {
+        quarterEnd.setUTCDate(0); // Last day of the previous month
+        const fiscalDateEnding = toDayKey(quarterEnd);
+        quarterEnd.setUTCDate(1);
+        quarterEnd.setUTCMonth(quarterEnd.getUTCMonth() - 2);
+        
+        let reportedDate = addDaysToKey(fiscalDateEnding, 21 + Math.floor(random() * 14));
+        if (!isTradingDay(reportedDate)) reportedDate = getNextTradingDay(reportedDate);
+        if (reportedDate > lastDay) continue;
+        
+        const estimatedEPS = Math.round(annualEps / 4 * (0.85 + random() * 0.3) * 100) / 100;
+        const reportedEPS = Math.round(estimatedEPS * (0.9 + random() * 0.22) * 100) / 100;
+        const surprise = Math.round((reportedEPS - estimatedEPS) * 100) / 100;
+        
+        earnings.push({
+            fiscalDateEnding,
+            reportedDate,
+            estimatedEPS,
+            reportedEPS,
+            surprise,
+            surprisePercent: estimatedEPS ? (surprise / Math.abs(estimatedEPS)) * 100 : null,
+        });
+    }
+    
+    return earnings;
+}
+
+// The quote is the last bar of the history, so the card and chart agree
+function buildMockQuote(symbol, history) {
+    const last = history[history.length - 1];
+    const prevClose = history.length > 1 ? history[history.length - 2].close : last.open;
+    const change = last.close - prevClose;
+    
+    return {
+        symbol,
+        price: last.close,
+        change,
+        changePercent: (change / prevClose) * 100,
+        open: last.open,
+        high: last.high,
+        low: last.low,
+        volume: last.volume,
+        prevClose,
+        latestTradingDay: toDayKey(last.date),
+    };
+}
+
+// ============================================
+// Snapshot
+// ============================================
+function parseSnapshot(data) {
+    if (!data || !data.stocks || !Array.isArray(data.symbols)) {
+        throw new Error('Malformed snapshot');
+    }
+    
+    const stocks = {};
+    data.symbols.forEach(symbol => {
+        const stock = data.stocks[symbol];
+        if (!stock || !stock.quote) return;
+        
+        stocks[symbol] = {
+            quote: stock.quote,
+            history: (stock.history || []).map(d => ({
+                ...d,
+                date: new Date(d.date),
+            })).sort((a, b) => a.date - b.date),
+        };
+    });
+    
+    return {
+        lastUpdated: data.lastUpdated,
+        symbols: Object.keys(stocks),
+        stocks,
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        API_ERRORS,
+        ApiError,
+        getAlphaVantageError,
+        assertAlphaVantageData,
+        fetchApiJson,
+        createRequestQueue,
+        hasBackgroundBudget,
+        createAlphaVantageProvider,
+        parseAlphaVantageQuote,
+        parseAlphaVantageDaily,
+        parseAlphaVantageIntraday,
+        parseAlphaVantageOverview,
+        parseAlphaVantageEarnings,
+        parseSymbolSearch,
+        createSnapshotProvider,
+        createMockProvider,
+        createSeededRandom,
+        generateMockHistory,
+        generateMockIntraday,
+        buildMockOverview,
+        generateMockEarnings,
+        buildMockQuote,
+        parseSnapshot,
+    };
+}
@@ -1,36 +1,11 @@
 /**
  * StockPulse - Stock Market Dashboard
  * Alpha Vantage API Integration
+ *
+ * The DOM-free logic (config, calendar, formatting, data helpers,
+ * indicators, cache and providers) lives in lib/ and is loaded first.
  */
 
-// ============================================
-// Configuration
-// ============================================
-const CONFIG = {
-    API_BASE: 'https://www.alphavantage.co/query',
-    STORAGE_KEY: 'stockpulse_api_key',
-    DEFAULT_SYMBOL: 'AAPL',
-    CACHE_DURATION: 5 * 60 * 1000, // 5 minutes
-};
-
-// Demo data for when API is not available
-const DEMO_DATA = {
-    quote: {
-        symbol: 'DEMO',
-        name: 'Demo Company Inc.',
-        price: 185.42,
-        change: 2.34,
-        changePercent: 1.28,
-        open: 183.50,
-        high: 186.20,
-        low: 182.80,
-        volume: 52436789,
-        prevClose: 183.08,
-        high52: 199.62,
-    },
-    history: generateDemoHistory(365)
-};
-
 // ============================================
 // State Management
 // ============================================
@@ -38,12 +13,72 @@ let state = {
     apiKey: localStorage.getItem(CONFIG.STORAGE_KEY) || '',
     currentSymbol: '',
     chartType: 'line',
+    priceMode: 'raw', // 'adjusted' back-adjusts daily bars for splits and dividends
     timeRange: '1W',
+    intradayInterval: loadIntradayInterval(),
+    intraday: null, // Latest session of minute bars for the current symbol
+    intradayTimer: null,
     priceChart: null,
     volumeChart: null,
+    chartRows: [], // Bars on screen in the price, volume and oscillator charts
+    chartTool: 'zoom', // What dragging across a chart does: 'zoom', 'pan' or 'measure'
+    chartZoom: null, // { start, end } bar indexes in view, or null for the whole range
+    chartDrag: null,
+    crosshairIndex: null, // Bar under the pointer, shared by the time-series charts
+    zoomSelection: null, // { from, to } bar indexes while dragging out a zoom window
+    measurement: null, // { from, to } bar indexes picked with the measure tool
     stockData: null,
-    isDemo: false,
-    cache: new Map(),
+    providerId: localStorage.getItem(CONFIG.PROVIDER_KEY) || 'auto',
+    snapshot: null,
+    dataSource: null, // Id of the provider that served the current quote
+    indicators: loadIndicatorSettings(),
+    preferences: loadPreferences(),
+    rsiChart: null,
+    macdChart: null,
+    watchlist: loadWatchlist(),
+    watchlistQuotes: new Map(),
+    watchlistQueue: null, // { symbol, background } jobs left in the running refresh, null when idle
+    cache: cacheEntries, // Owned by lib/cache.js
+    staleKeys: staleCacheKeys,
+    compareSymbols: [],
+    compareData: new Map(),
+    fullHistoryUnavailable: new Set(), // Providers that refused full history this session
+    adjustedUnavailable: new Set(), // Providers that refused adjusted history this session
+    compareChart: null,
+    alerts: loadAlerts(),
+    suggestions: [],
+    activeSuggestion: -1,
+    autocompleteTimer: null,
+    autocompleteQuery: '',
+    paletteCommands: [],
+    activePaletteCommand: -1,
+    paletteReturnFocus: null, // Element to refocus when the palette closes
+    portfolio: loadPortfolio(),
+    portfolioQuotes: new Map(),
+    portfolioHistories: new Map(),
+    portfolioChart: null,
+    allocationChart: null,
+};
+
+// The formatters in lib/format.js follow the display preferences
+setFormatOptions(state.preferences);
+
+// Every Alpha Vantage call goes through this queue
+const requestQueue = createRequestQueue({
+    storage: localStorage,
+    onChange: () => updateQuotaDisplay(),
+});
+
+// Market data sources, selectable in settings (see getProvider)
+const PROVIDERS = {
+    alphavantage: createAlphaVantageProvider({
+        apiBase: CONFIG.API_BASE,
+        getApiKey: () => state.apiKey,
+        queue: requestQueue,
+        isOnline: () => !isOffline(),
+    }),
+    snapshot: createSnapshotProvider({ getSnapshot: () => state.snapshot }),
+    mock: createMockProvider({ days: CONFIG.MOCK_HISTORY_DAYS }),
 };
 
 // ============================================
@@ -52,6 +87,7 @@ let state = {
 const elements = {
     searchInput: document.getElementById('stockSearch'),
     searchBtn: document.getElementById('searchBtn'),
+    searchSuggestions: document.getElementById('searchSuggestions'),
     stockCard: document.getElementById('stockCard'),
     cardPlaceholder: document.getElementById('cardPlaceholder'),
     cardContent: document.getElementById('cardContent'),
@@ -59,24 +95,115 @@ const elements = {
     stockName: document.getElementById('stockName'),
     currentPrice: document.getElementById('currentPrice'),
     priceChange: document.getElementById('priceChange'),
+    quoteAsOf: document.getElementById('quoteAsOf'),
+    rangeReturn: document.getElementById('rangeReturn'),
+    fundamentalsSection: document.getElementById('fundamentalsSection'),
+    fundamentalsTags: document.getElementById('fundamentalsTags'),
+    fundamentalsDescription: document.getElementById('fundamentalsDescription'),
+    fundamentalsStats: document.getElementById('fundamentalsStats'),
+    rangeLow: document.getElementById('rangeLow'),
+    rangeHigh: document.getElementById('rangeHigh'),
+    rangeMarker: document.getElementById('rangeMarker'),
+    earningsRows: document.getElementById('earningsRows'),
+    earningsEmpty: document.getElementById('earningsEmpty'),
+    marketStatus: document.getElementById('marketStatus'),
+    marketStatusText: document.getElementById('marketStatusText'),
     statOpen: document.getElementById('statOpen'),
     statHigh: document.getElementById('statHigh'),
     statLow: document.getElementById('statLow'),
     statVolume: document.getElementById('statVolume'),
     statPrevClose: document.getElementById('statPrevClose'),
     stat52High: document.getElementById('stat52High'),
+    staleBadge: document.getElementById('staleBadge'),
+    offlineBanner: document.getElementById('offlineBanner'),
     priceChart: document.getElementById('priceChart'),
     volumeChart: document.getElementById('volumeChart'),
+    oscillatorSection: document.getElementById('oscillatorSection'),
+    rsiPanel: document.getElementById('rsiPanel'),
+    rsiChart: document.getElementById('rsiChart'),
+    macdPanel: document.getElementById('macdPanel'),
+    macdChart: document.getElementById('macdChart'),
+    indicatorToggles: document.querySelectorAll('.indicator-toggle'),
+    indicatorParams: document.querySelectorAll('.indicator-param'),
     chartLoading: document.getElementById('chartLoading'),
+    toolBtns: document.querySelectorAll('.tool-btn'),
+    resetZoom: document.getElementById('resetZoom'),
+    measureReadout: document.getElementById('measureReadout'),
+    rangeNotice: document.getElementById('rangeNotice'),
+    priceModeNotice: document.getElementById('priceModeNotice'),
+    compareInput: document.getElementById('compareInput'),
+    compareBtn: document.getElementById('compareBtn'),
+    clearCompare: document.getElementById('clearCompare'),
+    compareResults: document.getElementById('compareResults'),
+    compareNotice: document.getElementById('compareNotice'),
+    compareChart: document.getElementById('compareChart'),
+    compareTable: document.getElementById('compareTable'),
+    compareReturnHeader: document.getElementById('compareReturnHeader'),
+    alertSymbol: document.getElementById('alertSymbol'),
+    alertType: document.getElementById('alertType'),
+    alertValue: document.getElementById('alertValue'),
+    addAlert: document.getElementById('addAlert'),
+    activeAlerts: document.getElementById('activeAlerts'),
+    triggeredAlerts: document.getElementById('triggeredAlerts'),
+    positionSymbol: document.getElementById('positionSymbol'),
+    positionShares: document.getElementById('positionShares'),
+    positionPrice: document.getElementById('positionPrice'),
+    positionDate: document.getElementById('positionDate'),
+    positionFees: document.getElementById('positionFees'),
+    addPosition: document.getElementById('addPosition'),
+    refreshPortfolio: document.getElementById('refreshPortfolio'),
+    exportPortfolio: document.getElementById('exportPortfolio'),
+    importPortfolio: document.getElementById('importPortfolio'),
+    importPortfolioFile: document.getElementById('importPortfolioFile'),
+    portfolioResults: document.getElementById('portfolioResults'),
+    portfolioPositions: document.getElementById('portfolioPositions'),
+    portfolioTotals: document.getElementById('portfolioTotals'),
+    portfolioNotice: document.getElementById('portfolioNotice'),
+    portfolioCharts: document.getElementById('portfolioCharts'),
+    portfolioChart: document.getElementById('portfolioChart'),
+    allocationChart: document.getElementById('allocationChart'),
     lastUpdated: document.getElementById('lastUpdated'),
+    quotaIndicator: document.getElementById('quotaIndicator'),
     apiModal: document.getElementById('apiModal'),
     apiKeyInput: document.getElementById('apiKeyInput'),
     saveApiKey: document.getElementById('saveApiKey'),
+    settingsBtn: document.getElementById('settingsBtn'),
+    shortcutsBtn: document.getElementById('shortcutsBtn'),
+    shortcutsModal: document.getElementById('shortcutsModal'),
+    shortcutList: document.getElementById('shortcutList'),
+    closeShortcuts: document.getElementById('closeShortcuts'),
+    commandPalette: document.getElementById('commandPalette'),
+    paletteInput: document.getElementById('paletteInput'),
+    paletteList: document.getElementById('paletteList'),
+    paletteEmpty: document.getElementById('paletteEmpty'),
+    settingsModal: document.getElementById('settingsModal'),
+    closeSettings: document.getElementById('closeSettings'),
+    cacheSummary: document.getElementById('cacheSummary'),
+    cacheEntries: document.getElementById('cacheEntries'),
+    intervalFilters: document.getElementById('intervalFilters'),
+    intervalBtns: document.querySelectorAll('.interval-btn'),
+    priceModeBtns: document.querySelectorAll('.price-mode-btn'),
+    exportBtn: document.getElementById('exportBtn'),
+    exportList: document.getElementById('exportList'),
+    exportItems: document.querySelectorAll('.export-item'),
+    providerSelect: document.getElementById('providerSelect'),
+    preferenceSelects: document.querySelectorAll('.preference-select'),
+    settingsApiKey: document.getElementById('settingsApiKey'),
+    toggleApiKey: document.getElementById('toggleApiKey'),
+    testApiKey: document.getElementById('testApiKey'),
+    saveSettingsApiKey: document.getElementById('saveSettingsApiKey'),
+    removeApiKey: document.getElementById('removeApiKey'),
+    apiKeyStatus: document.getElementById('apiKeyStatus'),
+    clearCache: document.getElementById('clearCache'),
     useDemo: document.getElementById('useDemo'),
     toastContainer: document.getElementById('toastContainer'),
     timeFilters: document.querySelectorAll('.time-btn'),
     typeFilters: document.querySelectorAll('.type-btn'),
-    quickBtns: document.querySelectorAll('.quick-btn'),
+    quickBtns: document.querySelectorAll('.quick-btn[data-symbol]'),
+    watchlist: document.getElementById('watchlist'),
+    watchlistEmpty: document.getElementById('watchlistEmpty'),
+    addToWatchlist: document.getElementById('addToWatchlist'),
+    refreshWatchlist: document.getElementById('refreshWatchlist'),
 };
 
 // ============================================
@@ -86,32 +213,65 @@ document.addEventListener('DOMContentLoaded', () => {
     initializeApp();
 });
 
-function initializeApp() {
-    // Check for API key
-    if (!state.apiKey) {
-        showApiModal();
-    }
+async function initializeApp() {
+    applyTheme();
     
     // Set up event listeners
     setupEventListeners();
+    registerServiceWorker();
+    
+    // Restore cached API responses and the Actions-generated snapshot,
+    // so visitors get data without a key or spending requests
+    await Promise.all([hydrateCache(), loadSnapshot()]);
+    
+    // Check for API key
+    const needsKey = state.providerId === 'alphavantage'
+        || (state.providerId === 'auto' && !state.snapshot);
+    if (!state.apiKey && needsKey) {
+        showApiModal();
+    }
     
     // Update timestamp
     updateTimestamp();
     setInterval(updateTimestamp, 60000);
+    updateMarketStatus();
+    setInterval(updateMarketStatus, CONFIG.MARKET_STATUS_REFRESH);
+    updateQuotaDisplay();
     
-    // Load default or last viewed stock
+    // Watchlist mini-quotes (also refreshes quotes for price alerts)
+    renderWatchlist();
+    renderAlerts();
+    refreshPortfolio();
+    refreshWatchlist();
+    setInterval(refreshWatchlistInBackground, CONFIG.WATCHLIST_REFRESH);
+    document.addEventListener('visibilitychange', refreshWatchlistInBackground);
+    
+    // Restore a shared link: range, chart type, indicators and comparison
+    const urlState = parseUrlState(window.location.search);
+    applyUrlViewState(urlState);
+    window.addEventListener('popstate', handlePopState);
+    window.addEventListener('offline', updateOfflineBanner);
+    window.addEventListener('online', handleOnline);
+    
+    // Load the linked, last viewed or default stock
     const lastSymbol = localStorage.getItem('stockpulse_last_symbol');
-    if (lastSymbol && state.apiKey) {
+    if (urlState.symbol) {
+        searchStock(urlState.symbol);
+    } else if (lastSymbol && canLoadSymbol(lastSymbol)) {
         searchStock(lastSymbol);
+    } else if (isDemoMode()) {
+        searchStock(CONFIG.DEFAULT_SYMBOL);
+    } else if (state.snapshot && state.snapshot.symbols.length > 0) {
+        searchStock(state.snapshot.symbols[0]);
     }
 }
 
 function setupEventListeners() {
     // Search functionality
     elements.searchBtn.addEventListener('click', handleSearch);
-    elements.searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') handleSearch();
-    });
+    elements.searchInput.addEventListener('keydown', handleSearchKeydown);
+    elements.searchInput.addEventListener('input', scheduleAutocomplete);
+    elements.searchInput.addEventListener('blur', hideSuggestions);
     
     // Quick pick buttons
     elements.quickBtns.forEach(btn => {
@@ -124,285 +284,2368 @@ function setupEventListeners() {
     
     // Time range filters
     elements.timeFilters.forEach(btn => {
-        btn.addEventListener('click', () => {
-            elements.timeFilters.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            state.timeRange = btn.dataset.range;
-            if (state.stockData) {
-                updateCharts();
-            }
+        btn.addEventListener('click', async () => {
+            await setTimeRange(btn.dataset.range);
+            syncUrl();
+        });
+    });
+    
+    // Intraday bar size
+    setActiveButton(elements.intervalBtns, 'interval', state.intradayInterval);
+    elements.intervalBtns.forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await setIntradayInterval(btn.dataset.interval);
+            syncUrl();
         });
     });
     
     // Chart type filters
     elements.typeFilters.forEach(btn => {
         btn.addEventListener('click', () => {
-            elements.typeFilters.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            state.chartType = btn.dataset.type;
+            setChartType(btn.dataset.type);
+            syncUrl();
+        });
+    });
+    
+    // Raw or adjusted prices
+    elements.priceModeBtns.forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await setPriceMode(btn.dataset.prices);
+            syncUrl();
+        });
+    });
+    
+    // Indicator toggles and parameters
+    syncIndicatorInputs();
+    elements.indicatorToggles.forEach(input => {
+        input.addEventListener('change', () => setIndicatorEnabled(input.dataset.indicator, input.checked));
+    });
+    
+    elements.indicatorParams.forEach(input => {
+        input.addEventListener('change', () => {
+            // Looked up each time: shared links and back/forward replace state.indicators
+            const settings = state.indicators[input.dataset.indicator];
+            const value = parseFloat(input.value);
+            const isValid = input.dataset.param === 'stdDev'
+                ? value > 0
+                : Number.isInteger(value) && value >= 1;
+            
+            if (!isValid) {
+                input.value = settings[input.dataset.param];
+                showToast('Indicator parameters must be positive numbers', 'error');
+                return;
+            }
+            
+            settings[input.dataset.param] = value;
+            saveIndicatorSettings();
+            syncUrl();
             if (state.stockData) {
                 updateCharts();
             }
         });
     });
     
+    // Zoom, pan, measure and the synced crosshair
+    elements.toolBtns.forEach(btn => {
+        btn.addEventListener('click', () => setChartTool(btn.dataset.tool));
+    });
+    elements.resetZoom.addEventListener('click', () => setChartZoom(null));
+    getTimeSeriesCanvases().forEach(canvas => {
+        canvas.addEventListener('wheel', handleChartWheel, { passive: false });
+        canvas.addEventListener('pointerdown', handleChartPointerDown);
+        canvas.addEventListener('pointermove', handleChartPointerMove);
+        canvas.addEventListener('pointerup', handleChartPointerUp);
+        canvas.addEventListener('pointercancel', handleChartPointerUp);
+        canvas.addEventListener('dblclick', () => setChartZoom(null));
+    });
+    setChartTool(state.chartTool);
+    
+    // Export menu
+    elements.exportBtn.addEventListener('click', () => toggleExportMenu());
+    elements.exportItems.forEach(item => {
+        item.addEventListener('click', () => {
+            toggleExportMenu(false);
+            runExport(item.dataset.export);
+        });
+    });
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.export-menu')) toggleExportMenu(false);
+    });
+    elements.exportList.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            toggleExportMenu(false);
+            elements.exportBtn.focus();
+        }
+    });
+    
+    // Watchlist
+    elements.addToWatchlist.addEventListener('click', () => {
+        const text = elements.searchInput.value.trim();
+        if (!text && !state.currentSymbol) {
+            showToast('Enter a symbol to add to the watchlist', 'error');
+            return;
+        }
+        const symbol = text ? normalizeSymbol(text) : state.currentSymbol;
+        if (!symbol) {
+            showToast(`"${text}" is not a valid ticker symbol`, 'error');
+            return;
+        }
+        addToWatchlist(symbol);
+    });
+    elements.refreshWatchlist.addEventListener('click', () => refreshWatchlist());
+    
+    // Compare mode
+    elements.compareBtn.addEventListener('click', () => {
+        setCompareSymbols(parseSymbolList(elements.compareInput.value));
+    });
+    elements.compareInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') setCompareSymbols(parseSymbolList(elements.compareInput.value));
+    });
+    elements.clearCompare.addEventListener('click', () => setCompareSymbols([]));
+    
+    // Price alerts
+    elements.addAlert.addEventListener('click', handleAddAlert);
+    elements.alertType.addEventListener('change', () => {
+        elements.alertValue.disabled = elements.alertType.value === 'high52';
+    });
+    
+    // Portfolio
+    elements.positionDate.value = toDayKey(new Date());
+    elements.addPosition.addEventListener('click', handleAddPosition);
+    elements.refreshPortfolio.addEventListener('click', () => refreshPortfolio());
+    elements.exportPortfolio.addEventListener('click', exportPortfolio);
+    elements.importPortfolio.addEventListener('click', () => elements.importPortfolioFile.click());
+    elements.importPortfolioFile.addEventListener('change', () => {
+        const file = elements.importPortfolioFile.files[0];
+        if (file) importPortfolio(file);
+        elements.importPortfolioFile.value = '';
+    });
+    
+    // Settings
+    elements.providerSelect.value = state.providerId;
+    elements.providerSelect.addEventListener('change', () => setProvider(elements.providerSelect.value));
+    elements.preferenceSelects.forEach(select => {
+        select.value = state.preferences[select.dataset.preference];
+        select.addEventListener('change', () => setPreference(select.dataset.preference, select.value));
+    });
+    window.matchMedia('(prefers-color-scheme: light)').addEventListener('change', () => {
+        if (state.preferences.theme === 'system') applyPreferences();
+    });
+    elements.toggleApiKey.addEventListener('click', () => {
+        const isHidden = elements.settingsApiKey.type === 'password';
+        elements.settingsApiKey.type = isHidden ? 'text' : 'password';
+        elements.toggleApiKey.textContent = isHidden ? 'Hide' : 'Show';
+    });
+    elements.testApiKey.addEventListener('click', testApiKey);
+    elements.saveSettingsApiKey.addEventListener('click', saveSettingsApiKey);
+    elements.removeApiKey.addEventListener('click', removeApiKey);
+    elements.settingsBtn.addEventListener('click', showSettings);
+    elements.closeSettings.addEventListener('click', hideSettings);
+    elements.clearCache.addEventListener('click', async () => {
+        await clearCache();
+        renderCacheInspector();
+        showToast('Cache cleared', 'success');
+    });
+    
     // API Modal
     elements.saveApiKey.addEventListener('click', saveApiKey);
     elements.useDemo.addEventListener('click', enableDemoMode);
     elements.apiKeyInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') saveApiKey();
     });
+    
+    // Keyboard shortcuts and command palette
+    renderShortcutList();
+    document.addEventListener('keydown', handleGlobalKeydown);
+    elements.shortcutsBtn.addEventListener('click', showShortcuts);
+    elements.closeShortcuts.addEventListener('click', hideShortcuts);
+    elements.paletteInput.addEventListener('input', renderPalette);
+    elements.paletteInput.addEventListener('keydown', handlePaletteKeydown);
+    [elements.commandPalette, elements.shortcutsModal].forEach(overlay => {
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) closeDialogs();
+        });
+    });
+}
+
+// ============================================
+// URL State
+// ============================================
+// The query string format is defined in lib/data.js. Loading a new symbol
+// pushes a history entry; other changes replace the current one, so
+// back/forward step between symbols.
+function syncUrl({ push = false } = {}) {
+    const search = buildUrlSearch({
+        symbol: state.currentSymbol,
+        range: state.timeRange,
+        interval: state.intradayInterval,
+        chartType: state.chartType,
+        priceMode: state.priceMode,
+        indicators: state.indicators,
+        compare: state.compareSymbols,
+    });
+    if (search === window.location.search) return;
+    
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const entry = { symbol: state.currentSymbol };
+    if (push) {
+        history.pushState(entry, '', url);
+    } else {
+        history.replaceState(entry, '', url);
+    }
+}
+
+// Applies everything except the symbol, without writing back to the URL
+function applyUrlViewState(urlState) {
+    if (urlState.interval) {
+        state.intradayInterval = urlState.interval;
+        setActiveButton(elements.intervalBtns, 'interval', state.intradayInterval);
+    }
+    if (urlState.range) {
+        state.timeRange = urlState.range;
+        setActiveButton(elements.timeFilters, 'range', state.timeRange);
+        updateIntervalControls();
+    }
+    if (urlState.chartType) {
+        state.chartType = urlState.chartType;
+        setActiveButton(elements.typeFilters, 'type', state.chartType);
+    }
+    // Links without the parameter are raw, so back/forward can switch either way
+    setPriceMode(urlState.priceMode || 'raw');
+    if (urlState.indicators) {
+        state.indicators = urlState.indicators;
+        syncIndicatorInputs();
+    }
+    
+    const compare = (urlState.compare || []).slice(0, CONFIG.COMPARE_MAX);
+    if (compare.join(',') !== state.compareSymbols.join(',')) {
+        state.compareSymbols = compare;
+        elements.compareInput.value = compare.join(', ');
+        loadComparison();
+    }
+}
+
+async function handlePopState() {
+    const urlState = parseUrlState(window.location.search);
+    applyUrlViewState(urlState);
+    
+    if (urlState.symbol && urlState.symbol !== state.currentSymbol) {
+        searchStock(urlState.symbol, { fromHistory: true });
+    } else if (state.stockData) {
+        await prepareRangeData();
+        updateCharts();
+    }
+}
+
+// ============================================
+// Snapshot Functions
+// ============================================
+async function loadSnapshot() {
+    try {
+        const response = await fetch(CONFIG.SNAPSHOT_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        state.snapshot = parseSnapshot(await response.json());
+    } catch (error) {
+        // The dashboard still works live or in demo mode without a snapshot
+        console.warn('Snapshot not available:', error);
+        state.snapshot = null;
+    }
+    return state.snapshot;
+}
+
+function getSnapshotStock(symbol) {
+    if (!state.snapshot) return null;
+    return state.snapshot.stocks[symbol] || null;
+}
+
+// ============================================
+// Offline Support
+// ============================================
+// sw.js caches the app shell, the chart libraries and data/stocks.json; API
+// responses are served from the IndexedDB cache. While offline a banner
+// says how old the data on screen is, and everything is reloaded quietly
+// once the connection returns.
+function registerServiceWorker() {
+    // Service workers need http(s); opening index.html from disk still works
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+    
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// When the data on screen was fetched: the current stock's quote, or the
+// snapshot before any stock has loaded
+function getDataAsOf() {
+    if (state.stockData) return state.stockData.fetchedAt;
+    return state.snapshot ? Date.parse(state.snapshot.lastUpdated) : null;
+}
+
+function updateOfflineBanner() {
+    const offline = isOffline();
+    elements.offlineBanner.classList.toggle('hidden', !offline);
+    if (!offline) return;
+    
+    const asOf = getDataAsOf();
+    if (!asOf) {
+        elements.offlineBanner.textContent = 'Offline — no saved data yet. It will load when the connection returns.';
+        return;
+    }
+    
+    const when = new Date(asOf).toLocaleString(getLocale(), {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+    elements.offlineBanner.textContent = `Offline — showing data from ${when} (${formatAge(Date.now() - asOf)} ago)`;
+}
+
+async function handleOnline() {
+    updateOfflineBanner();
+    
+    await loadSnapshot();
+    if (state.currentSymbol) {
+        await searchStock(state.currentSymbol, { background: true });
+    } else {
+        updateTimestamp();
+    }
+    refreshWatchlist();
+    refreshPortfolio();
+}
+
+// ============================================
+// Data Providers
+// ============================================
+// The providers themselves are built in lib/providers.js. `cacheable` ones
+// spend API requests, so the fetch functions below keep their results in
+// the cache; `requiresKey` ones need state.apiKey.
+
+// 'auto' serves snapshot symbols from the snapshot (free) and everything
+// else from Alpha Vantage. History falls through to Alpha Vantage when the
+// snapshot has none, when a long range needs more than it holds, or when
+// adjusted prices need the dividends and splits it lacks.
+function getProvider(symbol, { kind = 'quote', full = false, adjusted = false } = {}) {
+    if (state.providerId !== 'auto') {
+        return PROVIDERS[state.providerId] || PROVIDERS.alphavantage;
+    }
+    
+    const snapshot = PROVIDERS.snapshot;
+    if (kind === 'intraday' || !snapshot.hasSymbol(symbol)) return PROVIDERS.alphavantage;
+    // The snapshot only carries a name, so fundamentals come from the API
+    // whenever there is a key to spend
+    if (kind === 'fundamentals' && state.apiKey) return PROVIDERS.alphavantage;
+    if (kind === 'history' && state.apiKey && (!snapshot.hasHistory(symbol) || full || adjusted)) {
+        return PROVIDERS.alphavantage;
+    }
+    return snapshot;
+}
+
+function getSearchProvider() {
+    if (state.providerId !== 'auto') return getProvider('');
+    return state.apiKey ? PROVIDERS.alphavantage : PROVIDERS.snapshot;
+}
+
+function canLoadSymbol(symbol) {
+    return !getProvider(symbol).requiresKey || Boolean(state.apiKey);
+}
+
+function isDemoMode() {
+    return state.providerId === 'mock';
+}
+
+function setProvider(providerId) {
+    state.providerId = PROVIDERS[providerId] || providerId === 'auto' ? providerId : 'auto';
+    localStorage.setItem(CONFIG.PROVIDER_KEY, state.providerId);
+    elements.providerSelect.value = state.providerId;
+    
+    // Nothing loaded from the previous source should linger on screen
+    state.watchlistQuotes.clear();
+    state.compareData.clear();
+    state.portfolioQuotes.clear();
+    state.portfolioHistories.clear();
+    
+    if (state.currentSymbol) {
+        searchStock(state.currentSymbol);
+    }
+    renderWatchlist();
+    refreshWatchlist();
+    loadComparison();
+    refreshPortfolio();
 }
 
 // ============================================
 // API Functions
 // ============================================
+// Results from cacheable providers are cached; on failure an expired entry
+// is served instead (see useStaleCache).
 async function fetchStockQuote(symbol) {
+    const provider = getProvider(symbol);
+    if (!provider.cacheable) return provider.getQuote(symbol);
+    
     const cacheKey = `quote_${symbol}`;
     const cached = getFromCache(cacheKey);
     if (cached) return cached;
     
-    const url = `${CONFIG.API_BASE}?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${state.apiKey}`;
-    
     try {
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        if (data['Error Message']) {
-            throw new Error('Invalid symbol');
-        }
-        
-        if (data['Note']) {
-            throw new Error('API rate limit reached. Please wait or use demo mode.');
-        }
-        
-        const quote = data['Global Quote'];
-        if (!quote || Object.keys(quote).length === 0) {
-            throw new Error('No data found for this symbol');
-        }
-        
-        const result = {
-            symbol: quote['01. symbol'],
-            price: parseFloat(quote['05. price']),
-            change: parseFloat(quote['09. change']),
-            changePercent: parseFloat(quote['10. change percent'].replace('%', '')),
-            open: parseFloat(quote['02. open']),
-            high: parseFloat(quote['03. high']),
-            low: parseFloat(quote['04. low']),
-            volume: parseInt(quote['06. volume']),
-            prevClose: parseFloat(quote['08. previous close']),
-        };
-        
+        const result = await provider.getQuote(symbol);
         setToCache(cacheKey, result);
         return result;
     } catch (error) {
         console.error('Error fetching quote:', error);
+        const stale = useStaleCache(cacheKey);
+        if (stale) return stale;
         throw error;
     }
 }
 
-async function fetchStockHistory(symbol) {
-    const cacheKey = `history_${symbol}`;
-    const cached = getFromCache(cacheKey);
-    if (cached) return cached;
+// `full` asks for the complete daily series instead of the last ~100 days.
+// Whatever comes back is merged into the cached history, so a later compact
+// refresh never throws away older rows. Keys refused full history get the
+// compact series instead, and are not asked again this session. `adjusted`
+// asks for the series with dividends and splits, which is cached separately.
+async function fetchStockHistory(symbol, { full = false, adjusted = false } = {}) {
+    const provider = getProvider(symbol, { kind: 'history', full, adjusted });
+    if (!provider.cacheable) return provider.getHistory(symbol, { full, adjusted });
+    if (full && state.fullHistoryUnavailable.has(provider.id)) {
+        return fetchStockHistory(symbol, { adjusted });
+    }
     
-    const url = `${CONFIG.API_BASE}?function=TIME_SERIES_DAILY&symbol=${symbol}&outputsize=compact&apikey=${state.apiKey}`;
+    const cacheKey = `${adjusted ? 'adjusted' : 'history'}_${symbol}`;
+    const cachedItem = state.cache.get(cacheKey);
+    const cached = getFromCache(cacheKey);
+    if (cached && (!full || cachedItem.full)) return cached;
     
     try {
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        if (data['Error Message']) {
-            throw new Error('Invalid symbol');
-        }
+        const history = await provider.getHistory(symbol, { full, adjusted });
         
-        if (data['Note']) {
-            throw new Error('API rate limit reached');
+        const previous = getFromCache(cacheKey, { allowStale: true }) || [];
+        const merged = mergeHistory(previous, history);
+        setToCache(cacheKey, merged, { full: full || Boolean(cachedItem && cachedItem.full) });
+        return merged;
+    } catch (error) {
+        // Free keys are refused premium data by design; callers explain the fallback
+        const isPremium = error instanceof ApiError && error.code === 'premium';
+        (isPremium ? console.warn : console.error)('Error fetching history:', error);
+        // The adjusted series is premium as a whole, so only raw history retries
+        if (isPremium && full && !adjusted) {
+            state.fullHistoryUnavailable.add(provider.id);
+            return fetchStockHistory(symbol);
         }
-        
-        const timeSeries = data['Time Series (Daily)'];
-        if (!timeSeries) {
-            throw new Error('No historical data found');
+        const stale = useStaleCache(cacheKey);
+        if (stale) return stale;
+        throw error;
+    }
+}
+
+// History for the selected price mode, or with dividends and splits whenever
+// `adjusted` is passed. Sources that can't supply them fall back to the raw
+// series, whose returns the UI then labels as price return (see getReturnKind).
+async function fetchPriceHistory(symbol, { full = false, adjusted = state.priceMode === 'adjusted' } = {}) {
+    const provider = getProvider(symbol, { kind: 'history', full, adjusted: true });
+    if (adjusted && provider.adjustable && !state.adjustedUnavailable.has(provider.id)) {
+        try {
+            return await fetchStockHistory(symbol, { full, adjusted: true });
+        } catch (error) {
+            console.warn(`Adjusted history not available for ${symbol}:`, error);
+            // A premium endpoint stays closed to this key; don't spend requests on it
+            if (error instanceof ApiError && error.code === 'premium') {
+                state.adjustedUnavailable.add(provider.id);
+            }
         }
-        
-        const history = Object.entries(timeSeries).map(([date, values]) => ({
-            date: new Date(date),
-            open: parseFloat(values['1. open']),
-            high: parseFloat(values['2. high']),
-            low: parseFloat(values['3. low']),
-            close: parseFloat(values['4. close']),
-            volume: parseInt(values['5. volume']),
-        })).sort((a, b) => a.date - b.date);
-        
-        setToCache(cacheKey, history);
-        return history;
+    }
+    return fetchStockHistory(symbol, { full });
+}
+
+// Only the latest session is kept; that is all the 1D chart shows
+async function fetchIntraday(symbol, interval) {
+    const provider = getProvider(symbol, { kind: 'intraday' });
+    if (!provider.cacheable) {
+        return filterDataByRange(await provider.getIntraday(symbol, { interval }), CONFIG.INTRADAY_RANGE);
+    }
+    
+    const cacheKey = `intraday_${symbol}_${interval}`;
+    const cached = getFromCache(cacheKey);
+    if (cached) return cached;
+    
+    try {
+        const bars = await provider.getIntraday(symbol, { interval });
+        const session = filterDataByRange(bars, CONFIG.INTRADAY_RANGE);
+        setToCache(cacheKey, session);
+        return session;
     } catch (error) {
-        console.error('Error fetching history:', error);
+        console.error('Error fetching intraday data:', error);
+        const stale = useStaleCache(cacheKey);
+        if (stale) return stale;
         throw error;
     }
 }
 
 async function fetchCompanyOverview(symbol) {
+    const provider = getProvider(symbol, { kind: 'fundamentals' });
+    if (!provider.cacheable) return provider.getOverview(symbol).catch(() => ({ name: symbol }));
+    
     const cacheKey = `overview_${symbol}`;
     const cached = getFromCache(cacheKey);
-    if (cached) return cached;
-    
-    const url = `${CONFIG.API_BASE}?function=OVERVIEW&symbol=${symbol}&apikey=${state.apiKey}`;
+    // Entries cached before the fundamentals panel lack most fields
+    if (cached && cached.sector !== undefined) return cached;
     
     try {
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        if (data['Error Message'] || !data.Name) {
-            return { name: symbol };
+        const result = await provider.getOverview(symbol);
+        // Only keep real overviews; the bare-name fallback is not worth caching
+        if (result.high52 !== undefined) {
+            setToCache(cacheKey, result);
         }
-        
-        const result = {
-            name: data.Name,
-            high52: parseFloat(data['52WeekHigh']) || null,
-            low52: parseFloat(data['52WeekLow']) || null,
-            marketCap: data.MarketCapitalization,
-            peRatio: data.PERatio,
-        };
-        
-        setToCache(cacheKey, result);
         return result;
     } catch (error) {
         console.error('Error fetching overview:', error);
-        return { name: symbol };
-    }
-}
-
-// ============================================
-// Search & Display Functions
-// ============================================
-function handleSearch() {
-    const symbol = elements.searchInput.value.trim().toUpperCase();
-    if (!symbol) {
-        showToast('Please enter a stock symbol', 'error');
-        return;
+        return useStaleCache(cacheKey) || { name: symbol };
     }
-    searchStock(symbol);
 }
 
-async function searchStock(symbol) {
-    if (!state.apiKey && !state.isDemo) {
-        showApiModal();
-        return;
-    }
+// Earnings are optional extras, so failures resolve to null instead of throwing
+async function fetchEarnings(symbol) {
+    const provider = getProvider(symbol, { kind: 'fundamentals' });
+    if (!provider.cacheable) return provider.getEarnings(symbol).catch(() => null);
     
-    showLoading(true);
+    const cacheKey = `earnings_${symbol}`;
+    const cached = getFromCache(cacheKey);
+    if (cached) return cached;
     
     try {
-        if (state.isDemo) {
-            // Use demo data
-            await simulateDelay(500);
-            state.stockData = {
-                quote: { ...DEMO_DATA.quote, symbol },
-                history: DEMO_DATA.history,
-                overview: { name: `${symbol} Corporation (Demo)`, high52: DEMO_DATA.quote.high52 }
-            };
-        } else {
-            // Fetch real data
-            const [quote, history, overview] = await Promise.all([
-                fetchStockQuote(symbol),
-                fetchStockHistory(symbol),
-                fetchCompanyOverview(symbol),
-            ]);
-            
-            state.stockData = { quote, history, overview };
-        }
-        
-        state.currentSymbol = symbol;
-        localStorage.setItem('stockpulse_last_symbol', symbol);
-        
-        displayStockData();
-        updateCharts();
-        showToast(`Loaded ${symbol}`, 'success');
-        
+        const earnings = await provider.getEarnings(symbol);
+        setToCache(cacheKey, earnings);
+        return earnings;
     } catch (error) {
-        showToast(error.message || 'Failed to fetch stock data', 'error');
-        console.error(error);
-    } finally {
-        showLoading(false);
+        console.error('Error fetching earnings:', error);
+        return useStaleCache(cacheKey);
     }
 }
 
-function displayStockData() {
-    const { quote, overview } = state.stockData;
-    
-    // Show card content
-    elements.cardPlaceholder.classList.add('hidden');
-    elements.cardContent.classList.remove('hidden');
-    
-    // Update header
-    elements.stockSymbol.textContent = quote.symbol || state.currentSymbol;
-    elements.stockName.textContent = overview?.name || quote.symbol;
-    
-    // Update price
-    elements.currentPrice.textContent = formatCurrency(quote.price);
+async function searchSymbols(keywords) {
+    const provider = getSearchProvider();
+    if (!provider.cacheable) return provider.searchSymbols(keywords);
     
-    const isPositive = quote.change >= 0;
-    const changeText = `${isPositive ? '+' : ''}${formatCurrency(quote.change)} (${isPositive ? '+' : ''}${quote.changePercent.toFixed(2)}%)`;
-    elements.priceChange.textContent = changeText;
-    elements.priceChange.className = `price-change ${isPositive ? 'positive' : 'negative'}`;
+    const cacheKey = `search_${keywords.toUpperCase()}`;
+    const cached = getFromCache(cacheKey);
+    if (cached) return cached;
     
-    // Update stats
-    elements.statOpen.textContent = formatCurrency(quote.open);
-    elements.statHigh.textContent = formatCurrency(quote.high);
-    elements.statLow.textContent = formatCurrency(quote.low);
-    elements.statVolume.textContent = formatNumber(quote.volume);
-    elements.statPrevClose.textContent = formatCurrency(quote.prevClose);
-    elements.stat52High.textContent = overview?.high52 ? formatCurrency(overview.high52) : '--';
+    try {
+        const results = await provider.searchSymbols(keywords);
+        setToCache(cacheKey, results);
+        return results;
+    } catch (error) {
+        console.error('Error searching symbols:', error);
+        const stale = getFromCache(cacheKey, { allowStale: true });
+        if (stale) return stale;
+        throw error;
+    }
 }
 
 // ============================================
-// Chart Functions
+// Search & Display Functions
 // ============================================
-function updateCharts() {
-    const history = state.stockData.history;
-    const filteredData = filterDataByRange(history, state.timeRange);
-    
-    renderPriceChart(filteredData);
-    renderVolumeChart(filteredData);
-}
-
-function filterDataByRange(data, range) {
-    const now = new Date();
-    let startDate;
+function handleSearchKeydown(e) {
+    const isOpen = !elements.searchSuggestions.classList.contains('hidden');
     
-    switch (range) {
-        case '5D':
-            startDate = new Date(now.setDate(now.getDate() - 5));
-            break;
-        case '1W':
-            startDate = new Date(now.setDate(now.getDate() - 7));
-            break;
-        case '1M':
-            startDate = new Date(now.setMonth(now.getMonth() - 1));
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (!isOpen || state.suggestions.length === 0) return;
+            e.preventDefault();
+            highlightSuggestion(e.key === 'ArrowDown'
+                ? (state.activeSuggestion + 1) % state.suggestions.length
+                : (state.activeSuggestion - 1 + state.suggestions.length) % state.suggestions.length);
             break;
-        case '3M':
-            startDate = new Date(now.setMonth(now.getMonth() - 3));
-            break;
-        case '6M':
-            startDate = new Date(now.setMonth(now.getMonth() - 6));
+        case 'Enter':
+            if (isOpen && state.activeSuggestion >= 0) {
+                e.preventDefault();
+                selectSuggestion(state.suggestions[state.activeSuggestion]);
+            } else {
+                hideSuggestions();
+                handleSearch();
+            }
             break;
-        case '1Y':
-            startDate = new Date(now.setFullYear(now.getFullYear() - 1));
+        case 'Escape':
+            hideSuggestions();
             break;
-        default:
-            startDate = new Date(now.setDate(now.getDate() - 7));
     }
-    
-    return data.filter(d => d.date >= startDate);
 }
 
-function renderPriceChart(data) {
-    const ctx = elements.priceChart.getContext('2d');
+function scheduleAutocomplete() {
+    clearTimeout(state.autocompleteTimer);
+    const query = elements.searchInput.value.trim();
     
-    // Destroy existing chart
-    if (state.priceChart) {
-        state.priceChart.destroy();
+    if (query.length < CONFIG.AUTOCOMPLETE_MIN_LENGTH) {
+        hideSuggestions();
+        return;
+    }
+    
+    // Debounced so typing a ticker costs one request, not one per key
+    state.autocompleteTimer = setTimeout(() => runAutocomplete(query), CONFIG.AUTOCOMPLETE_DELAY);
+}
+
+async function runAutocomplete(query) {
+    state.autocompleteQuery = query;
+    
+    // Suggestions are a background request: they don't dip into the day's
+    // reserve, which is kept for the searches the user actually runs
+    const isFree = !getSearchProvider().cacheable || getFromCache(`search_${query.toUpperCase()}`);
+    let results;
+    if (!isFree && !hasBackgroundBudget(requestQueue.getRemaining())) {
+        results = getLocalSuggestions(query);
+    } else {
+        try {
+            results = await searchSymbols(query);
+        } catch (error) {
+            results = getLocalSuggestions(query);
+        }
+    }
+    
+    // A newer query may have started while this one was in flight
+    if (query !== state.autocompleteQuery || query !== elements.searchInput.value.trim()) return;
+    
+    renderSuggestions(results.slice(0, CONFIG.AUTOCOMPLETE_MAX));
+}
+
+// Offline matches from symbols we already know about (snapshot, watchlist)
+function getLocalSuggestions(query) {
+    const upper = query.toUpperCase();
+    const symbols = new Set([
+        ...(state.snapshot ? state.snapshot.symbols : []),
+        ...state.watchlist,
+    ]);
+    
+    return [...symbols]
+        .filter(symbol => symbol.startsWith(upper))
+        .map(symbol => ({ symbol, name: '', type: '', region: '', currency: '' }));
+}
+
+function renderSuggestions(results) {
+    state.suggestions = results;
+    state.activeSuggestion = -1;
+    
+    const items = results.map((result, index) => {
+        const item = document.createElement('li');
+        item.className = 'suggestion';
+        item.id = `suggestion-${index}`;
+        item.setAttribute('role', 'option');
+        
+        const symbolEl = document.createElement('span');
+        symbolEl.className = 'suggestion-symbol';
+        symbolEl.textContent = result.symbol;
+        
+        const nameEl = document.createElement('span');
+        nameEl.className = 'suggestion-name';
+        nameEl.textContent = result.name;
+        
+        const metaEl = document.createElement('span');
+        metaEl.className = 'suggestion-meta';
+        metaEl.textContent = [result.region, result.type, result.currency].filter(Boolean).join(' · ');
+        
+        item.append(symbolEl, nameEl, metaEl);
+        
+        // mousedown fires before the input's blur hides the list
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            selectSuggestion(result);
+        });
+        item.addEventListener('mousemove', () => highlightSuggestion(index));
+        
+        return item;
+    });
+    
+    elements.searchSuggestions.replaceChildren(...items);
+    elements.searchSuggestions.classList.toggle('hidden', items.length === 0);
+    elements.searchInput.setAttribute('aria-expanded', String(items.length > 0));
+    elements.searchInput.removeAttribute('aria-activedescendant');
+}
+
+function highlightSuggestion(index) {
+    state.activeSuggestion = index;
+    [...elements.searchSuggestions.children].forEach((item, i) => {
+        item.classList.toggle('active', i === index);
+        item.setAttribute('aria-selected', String(i === index));
+    });
+    elements.searchInput.setAttribute('aria-activedescendant', `suggestion-${index}`);
+}
+
+function hideSuggestions() {
+    clearTimeout(state.autocompleteTimer);
+    state.autocompleteQuery = '';
+    state.suggestions = [];
+    state.activeSuggestion = -1;
+    elements.searchSuggestions.classList.add('hidden');
+    elements.searchInput.setAttribute('aria-expanded', 'false');
+    elements.searchInput.removeAttribute('aria-activedescendant');
+}
+
+function selectSuggestion(result) {
+    elements.searchInput.value = result.symbol;
+    hideSuggestions();
+    searchStock(result.symbol);
+}
+
+function handleSearch() {
+    const text = elements.searchInput.value.trim();
+    if (!text) {
+        showToast('Please enter a stock symbol', 'error');
+        return;
+    }
+    
+    const symbol = normalizeSymbol(text);
+    if (!symbol) {
+        showToast(`"${text}" is not a valid ticker symbol`, 'error');
+        return;
+    }
+    searchStock(symbol);
+}
+
+// `fromHistory` is set when back/forward brought us here, so no new
+// history entry is pushed. `background` reloads stay quiet: no spinner and
+// no toasts.
+async function searchStock(symbol, { fromHistory = false, background = false } = {}) {
+    if (!isValidSymbol(symbol)) {
+        showToast('Not a valid ticker symbol', 'error');
+        return;
+    }
+    if (!canLoadSymbol(symbol)) {
+        showApiModal();
+        return;
+    }
+    
+    if (!background) showLoading(true);
+    
+    try {
+        const provider = getProvider(symbol);
+        const [quote, history, overview] = await Promise.all([
+            fetchStockQuote(symbol),
+            fetchPriceHistory(symbol, { full: rangeNeedsFullHistory(state.timeRange) }).catch(error => {
+                // Snapshot quotes stay useful when the history top-up fails
+                if (provider.id !== 'snapshot') throw error;
+                console.warn('Falling back to snapshot history:', error);
+                return provider.getHistory(symbol);
+            }),
+            fetchCompanyOverview(symbol),
+        ]);
+        
+        state.stockData = { quote, history, overview, fetchedAt: getQuoteFetchedAt(symbol, provider.id) };
+        state.dataSource = provider.id;
+        
+        const previousSymbol = state.currentSymbol;
+        state.currentSymbol = symbol;
+        if (previousSymbol !== symbol) resetChartView();
+        localStorage.setItem('stockpulse_last_symbol', symbol);
+        syncUrl({ push: !fromHistory && Boolean(previousSymbol) && previousSymbol !== symbol });
+        
+        state.intraday = null;
+        if (state.timeRange === CONFIG.INTRADAY_RANGE) {
+            await loadIntraday(symbol, { background });
+        }
+        
+        displayStockData();
+        updateTimestamp();
+        updateCharts();
+        scheduleIntradayRefresh();
+        updateWatchlistQuote(symbol, state.stockData.quote);
+        checkAlerts(symbol, state.stockData.quote);
+        if (!background) showToast(`Loaded ${symbol}`, 'success');
+        loadEarnings(symbol);
+        
+    } catch (error) {
+        if (background) {
+            console.warn(`Background reload of ${symbol} failed:`, error);
+        } else {
+            showErrorToast(error, 'Failed to fetch stock data', { retry: () => searchStock(symbol) });
+            console.error(error);
+        }
+    } finally {
+        if (!background) showLoading(false);
+    }
+}
+
+function displayStockData() {
+    const { quote, overview } = state.stockData;
+    
+    // Show card content
+    elements.cardPlaceholder.classList.add('hidden');
+    elements.cardContent.classList.remove('hidden');
+    
+    // Update header
+    elements.stockSymbol.textContent = quote.symbol || state.currentSymbol;
+    elements.stockName.textContent = overview?.name || quote.symbol;
+    
+    // Update price
+    const currency = getSymbolCurrency(state.currentSymbol);
+    elements.currentPrice.textContent = formatCurrency(quote.price, currency);
+    
+    const isPositive = quote.change >= 0;
+    const changeText = `${isPositive ? '+' : ''}${formatCurrency(quote.change, currency)} (${formatPercent(quote.changePercent)})`;
+    elements.priceChange.textContent = changeText;
+    elements.priceChange.className = `price-change ${isPositive ? 'positive' : 'negative'}`;
+    
+    // Update stats
+    elements.statOpen.textContent = formatCurrency(quote.open, currency);
+    elements.statHigh.textContent = formatCurrency(quote.high, currency);
+    elements.statLow.textContent = formatCurrency(quote.low, currency);
+    elements.statVolume.textContent = formatNumber(quote.volume);
+    elements.statPrevClose.textContent = formatCurrency(quote.prevClose, currency);
+    elements.stat52High.textContent = overview?.high52 ? formatCurrency(overview.high52, currency) : '--';
+    
+    updateQuoteAsOf();
+    updateStaleBadge();
+    renderFundamentals();
+}
+
+function updateQuoteAsOf() {
+    if (!state.stockData) return;
+    
+    const { quote, fetchedAt } = state.stockData;
+    const { text, isOld } = describeQuoteAsOf(quote.latestTradingDay, fetchedAt);
+    elements.quoteAsOf.textContent = text;
+    elements.quoteAsOf.classList.toggle('old', isOld);
+}
+
+// When the quote on screen was fetched: the snapshot's build time, the
+// cache entry's time for API quotes, or now for generated data
+function getQuoteFetchedAt(symbol, providerId) {
+    if (providerId === 'snapshot') return Date.parse(state.snapshot.lastUpdated);
+    const cached = state.cache.get(`quote_${symbol}`);
+    return providerId === 'alphavantage' && cached ? cached.timestamp : Date.now();
+}
+
+// Flags data served from an expired cache entry after a failed refresh
+function updateStaleBadge() {
+    const symbol = state.currentSymbol;
+    // Adjusted mode falls back to raw history, so either series may be showing
+    const types = ['quote', 'history', 'overview', ...(state.priceMode === 'adjusted' ? ['adjusted'] : [])];
+    const staleKeys = types
+        .map(type => `${type}_${symbol}`)
+        .filter(key => state.staleKeys.has(key));
+    
+    elements.staleBadge.classList.toggle('hidden', staleKeys.length === 0);
+    if (staleKeys.length === 0) return;
+    
+    const oldest = Math.min(...staleKeys.map(key => state.cache.get(key).timestamp));
+    elements.staleBadge.textContent = `stale · ${formatAge(Date.now() - oldest)} old`;
+    elements.staleBadge.title = 'Showing cached data because the latest refresh failed';
+}
+
+// ============================================
+// Fundamentals Functions
+// ============================================
+// Loaded after the card so a slow or failed EARNINGS call never holds up the quote
+async function loadEarnings(symbol) {
+    const earnings = await fetchEarnings(symbol);
+    if (state.currentSymbol !== symbol || !state.stockData) return;
+    
+    state.stockData.earnings = earnings;
+    renderFundamentals();
+    updateCharts();
+}
+
+function renderFundamentals() {
+    const { quote, overview = {}, earnings } = state.stockData;
+    elements.fundamentalsSection.classList.remove('hidden');
+    
+    elements.fundamentalsTags.textContent = [
+        overview.exchange,
+        overview.sector && toTitleCase(overview.sector),
+        overview.industry && toTitleCase(overview.industry),
+    ].filter(Boolean).join(' · ');
+    elements.fundamentalsDescription.textContent = overview.description || 'No company description available.';
+    
+    const currency = getSymbolCurrency(state.currentSymbol);
+    const money = (value) => formatCurrency(value, currency);
+    const stats = [
+        ['Market Cap', overview.marketCap ? formatCompactCurrency(overview.marketCap, currency) : '--'],
+        ['P/E Ratio', formatOptional(overview.peRatio, v => formatDecimal(v, 2))],
+        ['EPS', formatOptional(overview.eps, money)],
+        ['Dividend Yield', formatOptional(overview.dividendYield, v => formatPercent(v * 100, 2, { signed: false }))],
+        ['Beta', formatOptional(overview.beta, v => formatDecimal(v, 2))],
+        ['Analyst Target', formatOptional(overview.analystTarget, money)],
+        ['Shares Out.', formatOptional(overview.sharesOutstanding, formatCompactNumber)],
+    ];
+    elements.fundamentalsStats.replaceChildren(...stats.map(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'stat-item';
+        const labelEl = document.createElement('span');
+        labelEl.className = 'stat-label';
+        labelEl.textContent = label;
+        const valueEl = document.createElement('span');
+        valueEl.className = 'stat-value';
+        valueEl.textContent = value;
+        item.append(labelEl, valueEl);
+        return item;
+    }));
+    
+    renderRangeBar(quote.price, overview.low52, overview.high52, money);
+    renderEarningsTable(earnings || [], money);
+}
+
+// Places the current price between the 52-week low and high
+function renderRangeBar(price, low, high, money) {
+    elements.rangeLow.textContent = formatOptional(low, money);
+    elements.rangeHigh.textContent = formatOptional(high, money);
+    
+    const hasRange = low !== null && low !== undefined && high > low;
+    elements.rangeMarker.classList.toggle('hidden', !hasRange);
+    if (!hasRange) return;
+    
+    const position = Math.min(1, Math.max(0, (price - low) / (high - low)));
+    elements.rangeMarker.style.left = `${(position * 100).toFixed(1)}%`;
+    elements.rangeMarker.title = `${money(price)} · ${formatPercent(position * 100, 0, { signed: false })} of the 52-week range`;
+}
+
+function renderEarningsTable(earnings, money) {
+    const rows = earnings.slice(0, CONFIG.EARNINGS_ROWS).map(q => {
+        const result = classifyEarnings(q);
+        const row = document.createElement('tr');
+        const cells = [
+            q.fiscalDateEnding,
+            q.reportedDate || '--',
+            formatOptional(q.estimatedEPS, money),
+            formatOptional(q.reportedEPS, money),
+            formatOptional(q.surprisePercent, v => formatPercent(v)),
+        ];
+        
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        
+        const resultCell = document.createElement('td');
+        if (result) {
+            const badge = document.createElement('span');
+            badge.className = `earnings-badge ${result}`;
+            badge.textContent = result;
+            resultCell.appendChild(badge);
+        }
+        row.appendChild(resultCell);
+        return row;
+    });
+    
+    elements.earningsRows.replaceChildren(...rows);
+    elements.earningsEmpty.classList.toggle('hidden', rows.length > 0);
+}
+
+// ============================================
+// Watchlist Functions
+// ============================================
+function loadWatchlist() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.WATCHLIST_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(isValidSymbol) : [];
+    } catch (error) {
+        console.warn('Ignoring invalid watchlist:', error);
+        return [];
+    }
+}
+
+function saveWatchlist() {
+    localStorage.setItem(CONFIG.WATCHLIST_KEY, JSON.stringify(state.watchlist));
+}
+
+function addToWatchlist(symbol) {
+    if (state.watchlist.includes(symbol)) {
+        showToast(`${symbol} is already on your watchlist`, 'info');
+        return;
+    }
+    
+    state.watchlist.push(symbol);
+    saveWatchlist();
+    renderWatchlist();
+    refreshWatchlist([symbol]);
+    showToast(`Added ${symbol} to watchlist`, 'success');
+}
+
+function removeFromWatchlist(symbol) {
+    state.watchlist = state.watchlist.filter(s => s !== symbol);
+    state.watchlistQuotes.delete(symbol);
+    saveWatchlist();
+    renderWatchlist();
+}
+
+function moveWatchlistSymbol(list, fromIndex, toIndex) {
+    const result = [...list];
+    const [moved] = result.splice(fromIndex, 1);
+    result.splice(toIndex, 0, moved);
+    return result;
+}
+
+function updateWatchlistQuote(symbol, quote) {
+    if (state.watchlist.includes(symbol)) {
+        state.watchlistQuotes.set(symbol, quote);
+    }
+    // Re-render either way so the active row follows the current symbol
+    renderWatchlist();
+}
+
+// Sparklines only use history we already hold - they never cost a request
+function getWatchlistHistory(symbol) {
+    if (isDemoMode()) return generateMockHistory(symbol);
+    
+    const snapshotStock = getSnapshotStock(symbol);
+    if (snapshotStock && snapshotStock.history.length > 0) return snapshotStock.history;
+    
+    return getFromCache(`history_${symbol}`, { allowStale: true }) || [];
+}
+
+// Watchlist symbols plus any symbol with an active alert
+function getRefreshSymbols() {
+    const alertSymbols = state.alerts
+        .filter(alert => alert.status === 'active')
+        .map(alert => alert.symbol);
+    return [...new Set([...state.watchlist, ...alertSymbols])];
+}
+
+// Free sources (demo, snapshot, cache) resolve at once; network requests go
+// out WATCHLIST_BATCH_SIZE at a time, staggered, with a pause between batches.
+// `background` refreshes stop sending once the day's reserve is reached.
+// Calls made while a refresh runs join its queue, user-triggered ones first.
+async function refreshWatchlist(symbols = getRefreshSymbols(), { background = false } = {}) {
+    if (symbols.length === 0) return;
+    if (state.watchlistQueue) {
+        const queue = state.watchlistQueue;
+        if (background) {
+            const queued = new Set(queue.map(job => job.symbol));
+            queue.push(...symbols.filter(symbol => !queued.has(symbol)).map(symbol => ({ symbol, background })));
+        } else {
+            state.watchlistQueue = [
+                ...symbols.map(symbol => ({ symbol, background })),
+                ...queue.filter(job => !symbols.includes(job.symbol)),
+            ];
+        }
+        return;
+    }
+    state.watchlistQueue = symbols.map(symbol => ({ symbol, background }));
+    
+    try {
+        let sentInBatch = 0;
+        
+        while (state.watchlistQueue.length > 0) {
+            const job = state.watchlistQueue.shift();
+            const { symbol } = job;
+            if (!getRefreshSymbols().includes(symbol)) continue;
+            
+            const needsRequest = getProvider(symbol).cacheable
+                && !getFromCache(`quote_${symbol}`);
+            
+            if (needsRequest) {
+                if (!state.apiKey) continue;
+                if (job.background && !hasBackgroundBudget(requestQueue.getRemaining())) continue;
+                if (sentInBatch >= CONFIG.WATCHLIST_BATCH_SIZE) {
+                    await simulateDelay(CONFIG.WATCHLIST_BATCH_DELAY);
+                    sentInBatch = 0;
+                } else if (sentInBatch > 0) {
+                    await simulateDelay(CONFIG.WATCHLIST_STAGGER);
+                }
+                sentInBatch++;
+            }
+            
+            try {
+                const quote = await fetchStockQuote(symbol);
+                updateWatchlistQuote(symbol, quote);
+                checkAlerts(symbol, quote);
+            } catch (error) {
+                console.warn(`Watchlist refresh failed for ${symbol}:`, error);
+            }
+        }
+    } finally {
+        state.watchlistQueue = null;
+    }
+}
+
+// Timer and tab-switch refreshes; quotes don't move while the market is
+// closed and nobody sees them while the page is hidden
+function refreshWatchlistInBackground() {
+    if (document.hidden || !isMarketOpen(Date.now())) return;
+    refreshWatchlist(getRefreshSymbols(), { background: true });
+}
+
+function renderWatchlist() {
+    elements.watchlist.replaceChildren();
+    elements.watchlistEmpty.classList.toggle('hidden', state.watchlist.length > 0);
+    
+    state.watchlist.forEach((symbol, index) => {
+        const quote = state.watchlistQuotes.get(symbol);
+        const row = document.createElement('li');
+        row.className = 'watchlist-row';
+        row.draggable = true;
+        row.tabIndex = 0;
+        row.dataset.symbol = symbol;
+        row.dataset.index = index;
+        row.classList.toggle('active', symbol === state.currentSymbol);
+        
+        const symbolEl = document.createElement('span');
+        symbolEl.className = 'watchlist-symbol';
+        symbolEl.textContent = symbol;
+        
+        const sparkline = document.createElement('canvas');
+        sparkline.className = 'watchlist-sparkline';
+        
+        const priceEl = document.createElement('span');
+        priceEl.className = 'watchlist-price';
+        priceEl.textContent = quote ? formatCurrency(quote.price, getSymbolCurrency(symbol)) : '--';
+        
+        const changeEl = document.createElement('span');
+        changeEl.className = 'watchlist-change';
+        if (quote) {
+            const isPositive = quote.changePercent >= 0;
+            changeEl.textContent = formatPercent(quote.changePercent);
+            changeEl.classList.add(isPositive ? 'positive' : 'negative');
+        } else {
+            changeEl.textContent = '--';
+        }
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'watchlist-remove';
+        removeBtn.title = `Remove ${symbol}`;
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeFromWatchlist(symbol);
+        });
+        
+        row.append(symbolEl, sparkline, priceEl, changeEl, removeBtn);
+        
+        row.addEventListener('click', () => {
+            elements.searchInput.value = symbol;
+            searchStock(symbol);
+        });
+        row.addEventListener('keydown', (e) => {
+            // Enter on the remove button bubbles up here too
+            if (e.key === 'Enter' && e.target === row) {
+                elements.searchInput.value = symbol;
+                searchStock(symbol);
+            }
+        });
+        
+        // Drag to reorder
+        row.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(index));
+            row.classList.add('dragging');
+        });
+        row.addEventListener('dragend', () => row.classList.remove('dragging'));
+        row.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        row.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const fromIndex = parseInt(e.dataTransfer.getData('text/plain'), 10);
+            if (isNaN(fromIndex) || fromIndex === index) return;
+            state.watchlist = moveWatchlistSymbol(state.watchlist, fromIndex, index);
+            saveWatchlist();
+            renderWatchlist();
+        });
+        
+        elements.watchlist.appendChild(row);
+        drawSparkline(sparkline, getWatchlistHistory(symbol).slice(-30).map(d => d.close));
+    });
+}
+
+function drawSparkline(canvas, values) {
+    const width = 80;
+    const height = 24;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    
+    if (values.length < 2) return;
+    
+    const ctx = canvas.getContext('2d');
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    
+    ctx.scale(ratio, ratio);
+    ctx.strokeStyle = values[values.length - 1] >= values[0] ? '#00d4aa' : '#ef4444';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    values.forEach((value, i) => {
+        const x = (i / (values.length - 1)) * width;
+        const y = height - 2 - ((value - min) / range) * (height - 4);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+}
+
+// ============================================
+// Alert Functions
+// ============================================
+function loadAlerts() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.ALERTS_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.warn('Ignoring invalid alerts:', error);
+        return [];
+    }
+}
+
+function saveAlerts() {
+    localStorage.setItem(CONFIG.ALERTS_KEY, JSON.stringify(state.alerts));
+}
+
+function handleAddAlert() {
+    const symbol = normalizeSymbol(elements.alertSymbol.value.trim() || state.currentSymbol);
+    const type = elements.alertType.value;
+    const value = parseFloat(elements.alertValue.value);
+    
+    if (!symbol) {
+        showToast('Enter a valid ticker symbol for the alert', 'error');
+        return;
+    }
+    if (type !== 'high52' && !(value > 0)) {
+        showToast('Enter a positive alert level', 'error');
+        return;
+    }
+    
+    state.alerts.push({
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        symbol,
+        type,
+        value: type === 'high52' ? null : value,
+        status: 'active',
+        createdAt: Date.now(),
+        triggeredAt: null,
+        snoozedUntil: null,
+        lastPrice: null,
+    });
+    saveAlerts();
+    renderAlerts();
+    requestNotificationPermission();
+    
+    elements.alertValue.value = '';
+    showToast(`Alert added for ${symbol}`, 'success');
+}
+
+function requestNotificationPermission() {
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+}
+
+function describeAlert(alert) {
+    const currency = getSymbolCurrency(alert.symbol);
+    switch (alert.type) {
+        case 'above':
+            return `Price crosses above ${formatCurrency(alert.value, currency)}`;
+        case 'below':
+            return `Price crosses below ${formatCurrency(alert.value, currency)}`;
+        case 'move':
+            return `Daily move beyond ±${alert.value}%`;
+        case 'high52':
+            return 'New 52-week high';
+        default:
+            return alert.type;
+    }
+}
+
+function getKnownHigh52(symbol) {
+    if (state.currentSymbol === symbol && state.stockData?.overview?.high52) {
+        return state.stockData.overview.high52;
+    }
+    const overview = getFromCache(`overview_${symbol}`, { allowStale: true });
+    return overview?.high52 || null;
+}
+
+function checkAlerts(symbol, quote) {
+    const now = Date.now();
+    let changed = false;
+    
+    state.alerts.forEach(alert => {
+        if (alert.symbol !== symbol || alert.status !== 'active') return;
+        if (alert.snoozedUntil && alert.snoozedUntil > now) return;
+        
+        if (evaluateAlert(alert, quote, getKnownHigh52(symbol))) {
+            alert.status = 'triggered';
+            alert.triggeredAt = now;
+            alert.triggerPrice = quote.price;
+            notifyAlert(alert, quote);
+        }
+        alert.lastPrice = quote.price;
+        changed = true;
+    });
+    
+    if (changed) {
+        saveAlerts();
+        renderAlerts();
+    }
+}
+
+function notifyAlert(alert, quote) {
+    const message = `${alert.symbol}: ${describeAlert(alert)} (now ${formatCurrency(quote.price, getSymbolCurrency(alert.symbol))})`;
+    showToast(message, 'info');
+    
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        new Notification(`StockPulse alert: ${alert.symbol}`, {
+            body: message,
+            tag: alert.id,
+        });
+    }
+}
+
+function snoozeAlert(id) {
+    const alert = state.alerts.find(a => a.id === id);
+    if (!alert) return;
+    alert.snoozedUntil = Date.now() + CONFIG.ALERT_SNOOZE;
+    saveAlerts();
+    renderAlerts();
+}
+
+function rearmAlert(id) {
+    const alert = state.alerts.find(a => a.id === id);
+    if (!alert) return;
+    alert.status = 'active';
+    alert.triggeredAt = null;
+    alert.snoozedUntil = null;
+    alert.lastPrice = null;
+    saveAlerts();
+    renderAlerts();
+}
+
+function deleteAlert(id) {
+    state.alerts = state.alerts.filter(a => a.id !== id);
+    saveAlerts();
+    renderAlerts();
+}
+
+function renderAlerts() {
+    const now = Date.now();
+    const makeButton = (label, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = 'alert-action';
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        return btn;
+    };
+    
+    const makeRow = (alert) => {
+        const row = document.createElement('li');
+        row.className = 'alert-row';
+        
+        const symbolEl = document.createElement('span');
+        symbolEl.className = 'alert-symbol';
+        symbolEl.textContent = alert.symbol;
+        
+        const textEl = document.createElement('span');
+        textEl.className = 'alert-text';
+        textEl.textContent = describeAlert(alert);
+        
+        const statusEl = document.createElement('span');
+        statusEl.className = 'alert-status';
+        
+        const actions = document.createElement('span');
+        actions.className = 'alert-actions';
+        
+        if (alert.status === 'triggered') {
+            statusEl.textContent = `Fired ${formatAge(now - alert.triggeredAt)} ago at ${formatCurrency(alert.triggerPrice, getSymbolCurrency(alert.symbol))}`;
+            actions.append(makeButton('Re-arm', () => rearmAlert(alert.id)));
+        } else if (alert.snoozedUntil && alert.snoozedUntil > now) {
+            statusEl.textContent = `Snoozed for ${formatAge(alert.snoozedUntil - now)}`;
+            actions.append(makeButton('Resume', () => rearmAlert(alert.id)));
+        } else {
+            statusEl.textContent = alert.lastPrice !== null
+                ? `Last ${formatCurrency(alert.lastPrice, getSymbolCurrency(alert.symbol))}`
+                : 'Waiting for quote';
+            actions.append(makeButton('Snooze 1h', () => snoozeAlert(alert.id)));
+        }
+        actions.append(makeButton('Delete', () => deleteAlert(alert.id)));
+        
+        row.append(symbolEl, textEl, statusEl, actions);
+        return row;
+    };
+    
+    const active = state.alerts.filter(a => a.status === 'active');
+    const triggered = state.alerts.filter(a => a.status === 'triggered');
+    
+    elements.activeAlerts.replaceChildren(...active.map(makeRow));
+    elements.triggeredAlerts.replaceChildren(...triggered.map(makeRow));
+    elements.activeAlerts.dataset.empty = active.length === 0 ? 'No active alerts' : '';
+    elements.triggeredAlerts.dataset.empty = triggered.length === 0 ? 'Nothing has fired yet' : '';
+}
+
+// ============================================
+// Portfolio Functions
+// ============================================
+function loadPortfolio() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.PORTFOLIO_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(p => !validatePosition(p)) : [];
+    } catch (error) {
+        console.warn('Ignoring invalid portfolio:', error);
+        return [];
+    }
+}
+
+function savePortfolio() {
+    localStorage.setItem(CONFIG.PORTFOLIO_KEY, JSON.stringify(state.portfolio));
+}
+
+function handleAddPosition() {
+    const position = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        symbol: (elements.positionSymbol.value.trim() || state.currentSymbol).toUpperCase(),
+        shares: parseFloat(elements.positionShares.value),
+        price: parseFloat(elements.positionPrice.value),
+        date: elements.positionDate.value,
+        fees: parseFloat(elements.positionFees.value || '0'),
+    };
+    
+    const error = validatePosition(position);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    
+    state.portfolio.push(position);
+    savePortfolio();
+    
+    elements.positionShares.value = '';
+    elements.positionPrice.value = '';
+    elements.positionFees.value = '';
+    showToast(`Added ${position.shares} ${position.symbol}`, 'success');
+    refreshPortfolio();
+}
+
+function removePosition(id) {
+    state.portfolio = state.portfolio.filter(p => p.id !== id);
+    savePortfolio();
+    renderPortfolio();
+}
+
+async function refreshPortfolio() {
+    if (state.portfolio.length === 0) {
+        renderPortfolio();
+        return;
+    }
+    
+    const symbols = [...new Set(state.portfolio.map(p => p.symbol))];
+    const firstDay = state.portfolio.map(p => p.date).sort()[0];
+    const compactDays = Math.ceil(CONFIG.COMPACT_HISTORY_DAYS * 7 / 5);
+    const full = Date.now() - Date.parse(firstDay) > compactDays * 24 * 60 * 60 * 1000;
+    
+    const failed = [];
+    for (const symbol of symbols) {
+        try {
+            state.portfolioQuotes.set(symbol, await fetchStockQuote(symbol));
+            // Share counts follow splits, which only the adjusted series reports
+            state.portfolioHistories.set(symbol, await fetchPriceHistory(symbol, { full, adjusted: true }));
+        } catch (error) {
+            console.warn(`Portfolio refresh failed for ${symbol}:`, error);
+            failed.push(symbol);
+        }
+        renderPortfolio();
+    }
+    
+    if (failed.length > 0) {
+        showToast(`Could not refresh ${failed.join(', ')}`, 'error');
+    }
+}
+
+function renderPortfolio() {
+    elements.portfolioResults.classList.toggle('hidden', state.portfolio.length === 0);
+    if (state.portfolio.length === 0) return;
+    
+    const metrics = state.portfolio.map(p => calculatePositionMetrics(
+        p,
+        state.portfolioQuotes.get(p.symbol),
+        getSplitFactor(state.portfolioHistories.get(p.symbol) || [], p.date),
+    ));
+    // Amounts in different currencies don't add up, so totals, weights and
+    // charts need every holding in one currency
+    const currencies = [...new Set(state.portfolio.map(p => getSymbolCurrency(p.symbol)))];
+    const currency = currencies.length === 1 ? currencies[0] : null;
+    const totals = calculatePortfolioTotals(metrics);
+    const weights = new Map(currency ? totals.allocations.map(a => [a.id, a.weight]) : []);
+    
+    const makeCell = (text, className = '') => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (className) cell.className = className;
+        return cell;
+    };
+    const pnlClass = (value) => (value === null ? '' : value >= 0 ? 'positive' : 'negative');
+    const formatPnl = (value, rowCurrency) => (value === null ? '--' : `${value >= 0 ? '+' : ''}${formatCurrency(value, rowCurrency)}`);
+    
+    elements.portfolioPositions.replaceChildren(...metrics.map(m => {
+        const { position } = m;
+        const quote = state.portfolioQuotes.get(position.symbol);
+        const rowCurrency = getSymbolCurrency(position.symbol);
+        const row = document.createElement('tr');
+        const weight = weights.get(position.id);
+        
+        row.append(
+            makeCell(position.symbol),
+            makeCell(formatNumber(m.shares)),
+            makeCell(formatCurrency(m.costBasis / m.shares, rowCurrency)),
+            makeCell(quote ? formatCurrency(quote.price, rowCurrency) : '--'),
+            makeCell(m.marketValue === null ? '--' : formatCurrency(m.marketValue, rowCurrency)),
+            makeCell(formatPnl(m.dayPnl, rowCurrency), pnlClass(m.dayPnl)),
+            makeCell(
+                m.unrealizedPnl === null ? '--' : `${formatPnl(m.unrealizedPnl, rowCurrency)} (${formatPercent(m.unrealizedPercent)})`,
+                pnlClass(m.unrealizedPnl)
+            ),
+            makeCell(weight === undefined ? '--' : formatPercent(weight * 100, 1, { signed: false })),
+        );
+        
+        const removeCell = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'watchlist-remove';
+        removeBtn.title = `Remove ${position.symbol} position`;
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => removePosition(position.id));
+        removeCell.appendChild(removeBtn);
+        row.appendChild(removeCell);
+        
+        return row;
+    }));
+    
+    const totalsRow = document.createElement('tr');
+    totalsRow.append(
+        makeCell('Total'),
+        makeCell(''),
+        makeCell(''),
+        makeCell(''),
+        makeCell(currency ? formatCurrency(totals.marketValue, currency) : '--'),
+        makeCell(currency ? formatPnl(totals.dayPnl, currency) : '--', currency ? pnlClass(totals.dayPnl) : ''),
+        makeCell(
+            currency ? `${formatPnl(totals.unrealizedPnl, currency)} (${formatPercent(totals.unrealizedPercent)})` : '--',
+            currency ? pnlClass(totals.unrealizedPnl) : ''
+        ),
+        makeCell(currency ? formatPercent(100, 0, { signed: false }) : '--'),
+        makeCell(''),
+    );
+    elements.portfolioTotals.replaceChildren(totalsRow);
+    
+    updatePortfolioNotice(currencies);
+    elements.portfolioCharts.classList.toggle('hidden', !currency);
+    if (!currency) return;
+    renderPortfolioChart(buildPortfolioHistory(state.portfolio, state.portfolioHistories), currency);
+    renderAllocationChart(totals.allocations);
+}
+
+// Names the holdings bought before their loaded history starts, e.g. when
+// only the compact series could be loaded, so they join the value chart
+// late, those whose history has no split data to adjust share counts by, and
+// why totals are missing when holdings trade in several currencies
+function updatePortfolioNotice(currencies) {
+    const messages = [];
+    const slack = 5 * 24 * 60 * 60 * 1000;
+    const truncated = [...state.portfolioHistories]
+        .map(([symbol, history]) => ({
+            symbol,
+            firstBuy: state.portfolio.filter(p => p.symbol === symbol).map(p => p.date).sort()[0],
+            firstDate: history.length > 0 ? history[0].date : null,
+        }))
+        .filter(h => h.firstBuy && h.firstDate && h.firstDate.getTime() - Date.parse(h.firstBuy) > slack);
+    
+    if (truncated.length > 0) {
+        const provider = getProvider(truncated[0].symbol, { kind: 'history', full: true });
+        const reason = state.fullHistoryUnavailable.has(provider.id) ? ' Full history needs a premium API key.' : '';
+        const spans = truncated.map(h => `${h.symbol} from ${formatDate(h.firstDate)} (bought ${formatDate(h.firstBuy)})`);
+        messages.push(`Value history covers ${spans.join(', ')}, so earlier days and splits are missing.${reason}`);
+    }
+    
+    const unsplit = [...state.portfolioHistories]
+        .filter(([, history]) => history.length > 0 && !hasCorporateActions(history))
+        .map(([symbol]) => symbol);
+    if (unsplit.length > 0) {
+        const provider = getProvider(unsplit[0], { kind: 'history', adjusted: true });
+        const reason = state.adjustedUnavailable.has(provider.id) ? ' without a premium API key' : '';
+        messages.push(`Splits are not applied to ${unsplit.join(', ')} - ${provider.name} has no split data${reason}.`);
+    }
+    
+    if (currencies.length > 1) {
+        messages.push(`Totals and charts need holdings in one currency; these trade in ${currencies.join(', ')}.`);
+    }
+    
+    elements.portfolioNotice.classList.toggle('hidden', messages.length === 0);
+    elements.portfolioNotice.textContent = messages.join(' ');
+}
+
+function renderPortfolioChart(points, currency) {
+    const theme = getChartTheme();
+    if (state.portfolioChart) {
+        state.portfolioChart.destroy();
+    }
+    
+    state.portfolioChart = new Chart(elements.portfolioChart.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: points.map(p => p.date),
+            datasets: [
+                {
+                    label: 'Market value',
+                    data: points.map(p => p.value),
+                    borderColor: '#00d4aa',
+                    backgroundColor: 'rgba(0, 212, 170, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.1,
+                    pointRadius: 0,
+                },
+                {
+                    label: 'Cost basis',
+                    data: points.map(p => p.cost),
+                    borderColor: '#64748b',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    stepped: true,
+                    pointRadius: 0,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                intersect: false,
+                mode: 'index',
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: theme.text,
+                        boxWidth: 12,
+                    },
+                },
+                tooltip: {
+                    backgroundColor: theme.tooltipBackground,
+                    titleColor: theme.tooltipTitle,
+                    bodyColor: theme.tooltipBody,
+                    borderColor: theme.border,
+                    borderWidth: 1,
+                    padding: 12,
+                    callbacks: {
+                        title: (items) => formatDate(items[0].label),
+                        label: (item) => `${item.dataset.label}: ${formatCurrency(item.raw, currency)}`,
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'time',
+                    grid: {
+                        color: theme.grid,
+                    },
+                    ticks: {
+                        color: theme.tick,
+                        font: {
+                            family: "'JetBrains Mono', monospace",
+                            size: 11,
+                        }
+                    }
+                },
+                y: {
+                    grid: {
+                        color: theme.grid,
+                    },
+                    ticks: {
+                        color: theme.tick,
+                        font: {
+                            family: "'JetBrains Mono', monospace",
+                            size: 11,
+                        },
+                        callback: (value) => formatCompactCurrency(value, currency),
+                    }
+                }
+            }
+        }
+    });
+}
+
+function renderAllocationChart(allocations) {
+    const theme = getChartTheme();
+    if (state.allocationChart) {
+        state.allocationChart.destroy();
+    }
+    
+    state.allocationChart = new Chart(elements.allocationChart.getContext('2d'), {
+        type: 'doughnut',
+        data: {
+            labels: allocations.map(a => a.symbol),
+            datasets: [{
+                data: allocations.map(a => a.weight * 100),
+                backgroundColor: allocations.map((a, i) => CONFIG.COMPARE_COLORS[i % CONFIG.COMPARE_COLORS.length]),
+                borderColor: theme.card,
+                borderWidth: 2,
+            }],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'right',
+                    labels: {
+                        color: theme.text,
+                        boxWidth: 12,
+                    },
+                },
+                tooltip: {
+                    backgroundColor: theme.tooltipBackground,
+                    titleColor: theme.tooltipTitle,
+                    bodyColor: theme.tooltipBody,
+                    borderColor: theme.border,
+                    borderWidth: 1,
+                    padding: 12,
+                    callbacks: {
+                        label: (item) => `${item.label}: ${formatPercent(item.raw, 1, { signed: false })}`,
+                    }
+                }
+            }
+        }
+    });
+}
+
+function exportPortfolio() {
+    const payload = {
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        positions: state.portfolio,
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `stockpulse-portfolio-${toDayKey(new Date())}.json`);
+}
+
+async function importPortfolio(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        const positions = Array.isArray(data) ? data : data.positions;
+        if (!Array.isArray(positions)) {
+            throw new Error('No positions found in file');
+        }
+        
+        const invalid = positions.map(validatePosition).find(Boolean);
+        if (invalid) {
+            throw new Error(invalid);
+        }
+        
+        if (state.portfolio.length > 0 && !confirm(`Replace ${state.portfolio.length} positions with ${positions.length} from the file?`)) {
+            return;
+        }
+        
+        state.portfolio = positions.map((p, i) => ({
+            id: p.id || `${Date.now()}-${i}`,
+            symbol: p.symbol.trim().toUpperCase(),
+            shares: p.shares,
+            price: p.price,
+            date: p.date,
+            fees: p.fees,
+        }));
+        savePortfolio();
+        showToast(`Imported ${positions.length} positions`, 'success');
+        refreshPortfolio();
+    } catch (error) {
+        showToast(`Import failed: ${error.message}`, 'error');
+    }
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ============================================
+// Compare Functions
+// ============================================
+function setCompareSymbols(symbols) {
+    if (symbols.length > CONFIG.COMPARE_MAX) {
+        showToast(`Compare up to ${CONFIG.COMPARE_MAX} symbols at a time`, 'info');
+        symbols = symbols.slice(0, CONFIG.COMPARE_MAX);
+    }
+    
+    state.compareSymbols = symbols;
+    elements.compareInput.value = symbols.join(', ');
+    syncUrl();
+    
+    loadComparison();
+}
+
+async function loadComparison() {
+    const symbols = state.compareSymbols;
+    elements.compareResults.classList.toggle('hidden', symbols.length === 0);
+    if (symbols.length === 0) {
+        if (state.compareChart) {
+            state.compareChart.destroy();
+            state.compareChart = null;
+        }
+        return;
+    }
+    
+    const full = rangeNeedsFullHistory(getDailyRange(state.timeRange));
+    const results = await Promise.allSettled(symbols.map(symbol => fetchPriceHistory(symbol, { full })));
+    
+    // Ignore results if the set changed while we were loading
+    if (symbols !== state.compareSymbols) return;
+    
+    const failed = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            state.compareData.set(symbols[i], result.value);
+        } else {
+            failed.push(symbols[i]);
+        }
+    });
+    
+    if (failed.length > 0) {
+        showToast(`Could not load ${failed.join(', ')} for comparison`, 'error');
+    }
+    
+    renderComparison();
+}
+
+function renderComparison() {
+    const series = state.compareSymbols
+        .filter(symbol => state.compareData.has(symbol))
+        .map((symbol, i) => ({
+            symbol,
+            color: CONFIG.COMPARE_COLORS[i % CONFIG.COMPARE_COLORS.length],
+            data: filterDataByRange(applyPriceMode(state.compareData.get(symbol)), getDailyRange(state.timeRange)),
+            returnKind: getReturnKind(state.compareData.get(symbol)),
+        }))
+        .filter(s => s.data.length > 0);
+    
+    elements.compareReturnHeader.textContent = state.priceMode === 'adjusted' ? 'Total Return' : 'Price Return';
+    updateCompareNotice(series);
+    renderCompareChart(series);
+    renderCompareTable(series);
+}
+
+// Names the symbols whose history starts after the range does, e.g. when
+// only the compact series could be loaded
+function updateCompareNotice(series) {
+    const range = getDailyRange(state.timeRange);
+    const truncated = series.filter(s => getRangeCoverage(s.data, range).truncated);
+    elements.compareNotice.classList.toggle('hidden', truncated.length === 0);
+    if (truncated.length === 0) return;
+    
+    const provider = getProvider(truncated[0].symbol, { kind: 'history', full: true });
+    const reason = state.fullHistoryUnavailable.has(provider.id) ? ' Full history needs a premium API key.' : '';
+    elements.compareNotice.textContent = `${truncated.map(s => s.symbol).join(', ')}: `
+        + `data starts after the beginning of ${range}, so returns cover a shorter span.${reason}`;
+}
+
+function renderCompareChart(series) {
+    const theme = getChartTheme();
+    if (state.compareChart) {
+        state.compareChart.destroy();
+    }
+    
+    state.compareChart = new Chart(elements.compareChart.getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: series.map(s => ({
+                label: s.symbol,
+                returnKind: s.returnKind,
+                data: rebaseToPercent(s.data).map(p => ({ x: p.date, y: p.value })),
+                borderColor: s.color,
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                tension: 0.1,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                pointHoverBackgroundColor: s.color,
+            })),
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                intersect: false,
+                mode: 'x',
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    labels: {
+                        color: theme.text,
+                        boxWidth: 12,
+                        font: {
+                            family: "'JetBrains Mono', monospace",
+                            size: 11,
+                        },
+                    },
+                },
+                tooltip: {
+                    backgroundColor: theme.tooltipBackground,
+                    titleColor: theme.tooltipTitle,
+                    bodyColor: theme.tooltipBody,
+                    borderColor: theme.border,
+                    borderWidth: 1,
+                    padding: 12,
+                    callbacks: {
+                        title: (items) => formatDate(items[0].raw.x),
+                        label: (item) => `${item.dataset.label}: ${formatPercent(item.raw.y)} ${item.dataset.returnKind} return`,
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'time',
+                    time: {
+                        unit: getTimeUnit(getDailyRange(state.timeRange)),
+                    },
+                    grid: {
+                        color: theme.grid,
+                    },
+                    ticks: {
+                        color: theme.tick,
+                        font: {
+                            family: "'JetBrains Mono', monospace",
+                            size: 11,
+                        }
+                    }
+                },
+                y: {
+                    grid: {
+                        color: theme.grid,
+                    },
+                    ticks: {
+                        color: theme.tick,
+                        font: {
+                            family: "'JetBrains Mono', monospace",
+                            size: 11,
+                        },
+                        callback: (value) => formatPercent(value, 0),
+                    }
+                }
+            }
+        }
+    });
+}
+
+function renderCompareTable(series) {
+    const rows = series.map(s => {
+        const row = document.createElement('tr');
+        const stats = [
+            calculateReturn(s.data) * 100,
+            calculateVolatility(s.data) * 100,
+            calculateMaxDrawdown(s.data) * 100,
+        ];
+        
+        const symbolCell = document.createElement('td');
+        const swatch = document.createElement('span');
+        swatch.className = 'compare-swatch';
+        swatch.style.background = s.color;
+        symbolCell.append(swatch, s.symbol);
+        row.appendChild(symbolCell);
+        
+        stats.forEach((value, i) => {
+            const cell = document.createElement('td');
+            cell.textContent = formatPercent(value);
+            // Colour the return; volatility and drawdown read better neutral
+            if (i === 0) cell.className = value >= 0 ? 'positive' : 'negative';
+            row.appendChild(cell);
+        });
+        
+        // Symbols that couldn't be adjusted say so next to a total-return heading
+        if (state.priceMode === 'adjusted' && s.returnKind === 'price') {
+            const kind = document.createElement('span');
+            kind.className = 'return-kind';
+            kind.textContent = 'price';
+            kind.title = 'Adjusted prices are not available for this symbol';
+            row.cells[1].appendChild(kind);
+        }
+        
+        const removeCell = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'watchlist-remove';
+        removeBtn.title = `Remove ${s.symbol}`;
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => {
+            setCompareSymbols(state.compareSymbols.filter(symbol => symbol !== s.symbol));
+        });
+        removeCell.appendChild(removeBtn);
+        row.appendChild(removeCell);
+        
+        return row;
+    });
+    
+    elements.compareTable.replaceChildren(...rows);
+}
+
+// ============================================
+// Export Functions
+// ============================================
+function toggleExportMenu(open = elements.exportList.classList.contains('hidden')) {
+    elements.exportList.classList.toggle('hidden', !open);
+    elements.exportBtn.setAttribute('aria-expanded', String(open));
+    if (open) {
+        elements.exportItems[0].focus();
+    }
+}
+
+async function runExport(format) {
+    if (!state.stockData) {
+        showToast('Load a stock before exporting', 'error');
+        return;
+    }
+    
+    const symbol = state.currentSymbol;
+    const { series, range, returnKind } = getChartSeries();
+    const adjusted = returnKind === 'total' ? '-adjusted' : '';
+    const basename = `stockpulse-${symbol}-${state.timeRange}${adjusted}-${toDayKey(new Date())}`;
+    
+    try {
+        switch (format) {
+            case 'csv': {
+                const rows = buildExportRows(series, range);
+                downloadBlob(new Blob([toCsv(rows, EXPORT_COLUMNS)], { type: 'text/csv' }), `${basename}.csv`);
+                break;
+            }
+            case 'json': {
+                const payload = {
+                    symbol,
+                    range: state.timeRange,
+                    exportedAt: new Date().toISOString(),
+                    rows: buildExportRows(series, range),
+                };
+                const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+                downloadBlob(blob, `${basename}.json`);
+                break;
+            }
+            case 'png':
+                downloadBlob(await renderChartImage(), `${basename}.png`);
+                break;
+            case 'summary':
+                await navigator.clipboard.writeText(buildQuoteSummary(state.stockData, {
+                    source: PROVIDERS[state.dataSource]?.name,
+                }));
+                showToast('Quote summary copied', 'success');
+                break;
+        }
+    } catch (error) {
+        console.error('Export failed:', error);
+        showToast(`Export failed: ${error.message}`, 'error');
+    }
+}
+
+// Stacks the price and volume canvases on the card background, since the
+// chart canvases themselves are transparent
+function renderChartImage() {
+    const charts = [state.priceChart, state.volumeChart].filter(Boolean).map(chart => chart.canvas);
+    if (charts.length === 0) {
+        return Promise.reject(new Error('No chart to export'));
+    }
+    
+    const ratio = window.devicePixelRatio || 1;
+    const padding = Math.round(16 * ratio);
+    const titleHeight = Math.round(28 * ratio);
+    const width = Math.max(...charts.map(canvas => canvas.width)) + padding * 2;
+    const height = charts.reduce((sum, canvas) => sum + canvas.height + padding, padding + titleHeight);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    
+    const ctx = canvas.getContext('2d');
+    const styles = getComputedStyle(document.documentElement);
+    ctx.fillStyle = styles.getPropertyValue('--bg-card').trim() || '#151c2c';
+    ctx.fillRect(0, 0, width, height);
+    
+    ctx.fillStyle = styles.getPropertyValue('--text-primary').trim() || '#f8fafc';
+    ctx.font = `600 ${Math.round(14 * ratio)}px sans-serif`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${state.currentSymbol} · ${state.timeRange} · ${formatDate(new Date())}`, padding, padding);
+    
+    let y = padding + titleHeight;
+    charts.forEach(chart => {
+        ctx.drawImage(chart, padding, y);
+        y += chart.height + padding;
+    });
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), 'image/png');
+    });
+}
+
+// ============================================
+// Chart Functions
+// ============================================
+function updateCharts() {
+    const { series, range, isIntraday, returnKind } = getChartSeries();
+    const filteredData = filterDataByRange(series, range);
+    const indicators = computeIndicators(series, filteredData.length);
+    state.chartRows = filteredData;
+    
+    renderPriceChart(filteredData, indicators);
+    renderVolumeChart(filteredData);
+    renderOscillatorCharts(filteredData, indicators);
+    updateRangeNotice(filteredData, range);
+    updatePriceModeNotice(isIntraday);
+    updateRangeReturn(filteredData, range, returnKind);
+    renderMeasurement();
+}
+
+// The bars behind the chart: minute bars for 1D, daily history otherwise.
+// Without intraday data the 1D view falls back to daily bars. Daily bars
+// follow the price mode; minute bars are always as traded.
+function getChartSeries() {
+    const isIntraday = state.timeRange === CONFIG.INTRADAY_RANGE && Boolean(state.intraday?.length);
+    const history = state.stockData.history;
+    return {
+        series: isIntraday ? state.intraday : applyPriceMode(history),
+        range: isIntraday ? state.timeRange : getDailyRange(state.timeRange),
+        isIntraday,
+        returnKind: isIntraday ? 'price' : getReturnKind(history),
+    };
+}
+
+// Adjusting walks the whole history, so each result is kept per series
+const adjustedSeries = new WeakMap();
+
+function applyPriceMode(history) {
+    if (state.priceMode !== 'adjusted') return history;
+    if (!adjustedSeries.has(history)) {
+        adjustedSeries.set(history, adjustHistory(history));
+    }
+    return adjustedSeries.get(history);
+}
+
+// 'total' when the closes include dividends, 'price' when they are as traded
+function getReturnKind(history) {
+    return state.priceMode === 'adjusted' && hasCorporateActions(history) ? 'total' : 'price';
+}
+
+// Daily-bar views (compare, the 1D fallback) show a week for 1D
+function getDailyRange(range) {
+    return range === CONFIG.INTRADAY_RANGE ? '5D' : range;
+}
+
+async function setTimeRange(range) {
+    state.timeRange = range;
+    resetChartView();
+    setActiveButton(elements.timeFilters, 'range', range);
+    updateIntervalControls();
+    if (state.stockData) {
+        await prepareRangeData();
+        updateCharts();
+    }
+    if (state.compareSymbols.length > 0) {
+        loadComparison();
+    }
+    scheduleIntradayRefresh();
+}
+
+// A stored value outside INTRADAY_INTERVALS would be sent to the API as is
+function loadIntradayInterval() {
+    const saved = localStorage.getItem(CONFIG.INTRADAY_KEY);
+    return CONFIG.INTRADAY_INTERVALS.includes(saved) ? saved : '5min';
+}
+
+async function setIntradayInterval(interval) {
+    state.intradayInterval = interval;
+    resetChartView();
+    localStorage.setItem(CONFIG.INTRADAY_KEY, interval);
+    setActiveButton(elements.intervalBtns, 'interval', interval);
+    if (state.stockData && state.timeRange === CONFIG.INTRADAY_RANGE) {
+        await prepareRangeData();
+        updateCharts();
+    }
+    scheduleIntradayRefresh();
+}
+
+function updateIntervalControls() {
+    elements.intervalFilters.classList.toggle('hidden', state.timeRange !== CONFIG.INTRADAY_RANGE);
+}
+
+// Loads whatever the selected range needs beyond the daily history on hand
+async function prepareRangeData() {
+    if (state.timeRange === CONFIG.INTRADAY_RANGE) {
+        await loadIntraday(state.currentSymbol);
+    } else {
+        await ensureHistoryForRange(state.timeRange);
+    }
+}
+
+async function reloadRangeData() {
+    if (!state.stockData) return;
+    await prepareRangeData();
+    updateCharts();
+}
+
+// `background` refreshes stay quiet: no spinner and no error toasts
+async function loadIntraday(symbol, { background = false } = {}) {
+    const interval = state.intradayInterval;
+    if (!background) showLoading(true);
+    
+    try {
+        const bars = await fetchIntraday(symbol, interval);
+        if (state.currentSymbol === symbol && state.intradayInterval === interval) {
+            state.intraday = bars;
+        }
+    } catch (error) {
+        if (background) {
+            console.warn('Intraday refresh failed:', error);
+        } else {
+            if (state.currentSymbol === symbol) state.intraday = null;
+            showErrorToast(error, 'Could not load intraday data', {
+                retry: reloadRangeData,
+                note: 'showing daily bars',
+            });
+        }
+    } finally {
+        if (!background) showLoading(false);
+    }
+}
+
+// Polls once per bar, and only while the regular session is open
+function scheduleIntradayRefresh() {
+    clearTimeout(state.intradayTimer);
+    state.intradayTimer = null;
+    if (state.timeRange !== CONFIG.INTRADAY_RANGE) return;
+    
+    const delay = Math.max(60 * 1000, parseInt(state.intradayInterval, 10) * 60 * 1000);
+    state.intradayTimer = setTimeout(async () => {
+        if (state.stockData && isMarketOpen(Date.now())) {
+            await loadIntraday(state.currentSymbol, { background: true });
+            if (state.timeRange === CONFIG.INTRADAY_RANGE) updateCharts();
+        }
+        scheduleIntradayRefresh();
+    }, delay);
+}
+
+// Switching to adjusted reloads the history when the loaded series has no
+// dividend and split columns; switching back only re-renders
+async function setPriceMode(mode) {
+    if (mode === state.priceMode) return;
+    state.priceMode = mode;
+    setActiveButton(elements.priceModeBtns, 'prices', mode);
+    
+    if (state.stockData) {
+        if (mode === 'adjusted' && !hasCorporateActions(state.stockData.history)) {
+            await reloadPriceHistory();
+        }
+        updateCharts();
+        updateStaleBadge();
+    }
+    if (state.compareSymbols.length > 0) {
+        loadComparison();
+    }
+}
+
+async function reloadPriceHistory() {
+    const symbol = state.currentSymbol;
+    showLoading(true);
+    try {
+        const history = await fetchPriceHistory(symbol, { full: rangeNeedsFullHistory(state.timeRange) });
+        if (state.currentSymbol === symbol) {
+            state.stockData.history = history;
+        }
+    } catch (error) {
+        showErrorToast(error, 'Could not load price history', {
+            retry: async () => {
+                await reloadPriceHistory();
+                updateCharts();
+            },
+        });
+    } finally {
+        showLoading(false);
+    }
+}
+
+function setChartType(type) {
+    state.chartType = type;
+    setActiveButton(elements.typeFilters, 'type', type);
+    if (state.stockData) {
+        updateCharts();
+    }
+}
+
+// Upgrades the loaded history to the full series when a long range needs it
+async function ensureHistoryForRange(range) {
+    const symbol = state.currentSymbol;
+    const history = state.stockData.history;
+    const isCovered = !getRangeCoverage(history, range).truncated;
+    
+    if (isCovered || !rangeNeedsFullHistory(range)) return;
+    const provider = getProvider(symbol, { kind: 'history', full: true });
+    if (!provider.cacheable || state.fullHistoryUnavailable.has(provider.id)) return;
+    
+    const type = hasCorporateActions(history) ? 'adjusted' : 'history';
+    const cachedItem = state.cache.get(`${type}_${symbol}`);
+    if (cachedItem && cachedItem.full) return;
+    
+    showLoading(true);
+    try {
+        // Same kind of series as the one on hand, so the merge stays consistent
+        const fullHistory = await fetchStockHistory(symbol, { full: true, adjusted: type === 'adjusted' });
+        if (state.currentSymbol === symbol) {
+            state.stockData.history = mergeHistory(history, fullHistory);
+        }
+    } catch (error) {
+        showErrorToast(error, 'Could not load full history', { retry: reloadRangeData });
+    } finally {
+        showLoading(false);
+    }
+}
+
+function updateRangeNotice(data, range) {
+    const coverage = getRangeCoverage(data, range);
+    elements.rangeNotice.classList.toggle('hidden', !coverage.truncated);
+    if (!coverage.truncated) return;
+    
+    const provider = getProvider(state.currentSymbol, { kind: 'history', full: true });
+    const reason = state.fullHistoryUnavailable.has(provider.id) ? ' Full history needs a premium API key.' : '';
+    elements.rangeNotice.textContent = `Only ${formatNumber(data.length)} trading days available for ${range} - `
+        + `data starts ${formatDate(coverage.firstDate)} instead of ${formatDate(coverage.startDate)}.${reason}`;
+}
+
+// Says why adjusted mode is showing prices as traded
+function updatePriceModeNotice(isIntraday) {
+    const symbol = state.currentSymbol;
+    const isFallback = state.priceMode === 'adjusted' && !isIntraday
+        && !hasCorporateActions(state.stockData.history);
+    elements.priceModeNotice.classList.toggle('hidden', !isFallback);
+    if (!isFallback) return;
+    
+    const provider = getProvider(symbol, { kind: 'history', adjusted: true });
+    const reason = state.adjustedUnavailable.has(provider.id) ? ' without a premium API key' : '';
+    elements.priceModeNotice.textContent = `Adjusted prices for ${symbol} are not available from ${provider.name}${reason} - `
+        + 'showing prices as traded, so returns are price returns.';
+}
+
+// "6M total return: +12.34%" under the quote, for the bars on the chart
+function updateRangeReturn(data, range, returnKind) {
+    elements.rangeReturn.classList.toggle('hidden', data.length < 2);
+    if (data.length < 2) return;
+    
+    const value = calculateReturn(data) * 100;
+    elements.rangeReturn.textContent = `${range} ${returnKind} return: ${formatPercent(value)}`;
+    elements.rangeReturn.classList.toggle('positive', value >= 0);
+    elements.rangeReturn.classList.toggle('negative', value < 0);
+}
+
+function renderPriceChart(data, indicators = {}) {
+    const ctx = elements.priceChart.getContext('2d');
+    const theme = getChartTheme();
+    const currency = getSymbolCurrency(state.currentSymbol);
+    
+    // Destroy existing chart
+    if (state.priceChart) {
+        state.priceChart.destroy();
     }
     
     const labels = data.map(d => d.date);
@@ -447,6 +2690,22 @@ function renderPriceChart(data) {
                 pointHoverBackgroundColor: lineColor,
             };
             break;
+        case 'candlestick':
+        case 'ohlc':
+            // Invisible close-price points keep the index tooltip working;
+            // the bars themselves are drawn by ohlcPlugin
+            datasetConfig = {
+                type: 'line',
+                data: prices,
+                borderColor: 'transparent',
+                backgroundColor: 'transparent',
+                showLine: false,
+                pointRadius: 0,
+                pointHoverRadius: 0,
+                ohlcStyle: state.chartType,
+                ohlcData: data,
+            };
+            break;
         default: // line
             datasetConfig = {
                 type: 'line',
@@ -462,6 +2721,9 @@ function renderPriceChart(data) {
             };
     }
     
+    const isOhlc = isOhlcChartType(state.chartType);
+    const { range, isIntraday } = getChartSeries();
+    
     state.priceChart = new Chart(ctx, {
         type: datasetConfig.type,
         data: {
@@ -469,8 +2731,138 @@ function renderPriceChart(data) {
             datasets: [{
                 label: 'Price',
                 ...datasetConfig,
+            }, ...getOverlayDatasets(indicators)]
+        },
+        plugins: [ohlcPlugin, sessionShadingPlugin, earningsMarkersPlugin, corporateActionsPlugin, crosshairPlugin, selectionPlugin],
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                intersect: false,
+                mode: 'index',
+            },
+            plugins: {
+                legend: {
+                    display: false,
+                },
+                sessionShading: {
+                    ranges: isIntraday ? getExtendedHoursRanges(data) : [],
+                },
+                earningsMarkers: {
+                    markers: isIntraday ? [] : getEarningsMarkers(state.stockData.earnings, data),
+                },
+                corporateActions: {
+                    markers: isIntraday ? [] : getCorporateActionMarkers(data),
+                },
+                crosshair: {
+                    color: theme.tick,
+                },
+                selection: {
+                    showLine: true,
+                },
+                tooltip: {
+                    backgroundColor: theme.tooltipBackground,
+                    titleColor: theme.tooltipTitle,
+                    bodyColor: theme.tooltipBody,
+                    borderColor: theme.border,
+                    borderWidth: 1,
+                    padding: 12,
+                    displayColors: false,
+                    filter: (item) => item.raw !== null && item.raw !== undefined,
+                    callbacks: {
+                        title: (items) => formatTooltipTitle(items, isIntraday),
+                        label: (item) => {
+                            if (item.datasetIndex > 0) {
+                                return `${item.dataset.label}: ${formatCurrency(item.raw, currency)}`;
+                            }
+                            return [
+                                ...formatOhlcTooltip(data, item.dataIndex, currency),
+                                `Volume: ${formatNumber(data[item.dataIndex].volume)}`,
+                                ...formatCorporateActions(data[item.dataIndex], currency),
+                            ];
+                        },
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'time',
+                    offset: isOhlc,
+                    ...getZoomBounds(),
+                    time: {
+                        unit: getTimeUnit(range),
+                        displayFormats: {
+                            hour: 'HH:mm',
+                            day: 'MMM d',
+                            week: 'MMM d',
+                            month: 'MMM yyyy',
+                            year: 'yyyy',
+                        }
+                    },
+                    grid: {
+                        color: theme.grid,
+                    },
+                    ticks: {
+                        color: theme.tick,
+                        font: {
+                            family: "'JetBrains Mono', monospace",
+                            size: 11,
+                        },
+                        // Tick labels in exchange time, whatever the browser's zone
+                        ...(isIntraday && { callback: (value) => formatExchangeTime(value) }),
+                    }
+                },
+                y: {
+                    // Leave room for the wicks, which reach beyond the close
+                    ...(isOhlc && getWickBounds(data)),
+                    grid: {
+                        color: theme.grid,
+                    },
+                    ticks: {
+                        color: theme.tick,
+                        font: {
+                            family: "'JetBrains Mono', monospace",
+                            size: 11,
+                        },
+                        callback: (value) => formatCurrency(value, currency, { digits: 0 }),
+                    }
+                }
+            }
+        }
+    });
+}
+
+function renderVolumeChart(data) {
+    const ctx = elements.volumeChart.getContext('2d');
+    const theme = getChartTheme();
+    
+    // Destroy existing chart
+    if (state.volumeChart) {
+        state.volumeChart.destroy();
+    }
+    
+    const labels = data.map(d => d.date);
+    const volumes = data.map(d => d.volume);
+    const { range, isIntraday } = getChartSeries();
+    
+    state.volumeChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [{
+                label: 'Volume',
+                data: volumes,
+                backgroundColor: data.map((d, i) => 
+                    isUpBar(data, i) ? 'rgba(0, 212, 170, 0.5)' : 'rgba(239, 68, 68, 0.5)'
+                ),
+                borderColor: data.map((d, i) => 
+                    isUpBar(data, i) ? '#00d4aa' : '#ef4444'
+                ),
+                borderWidth: 1,
+                borderRadius: 2,
             }]
         },
+        plugins: [sessionShadingPlugin, crosshairPlugin, selectionPlugin],
         options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -482,161 +2874,1297 @@ function renderPriceChart(data) {
                 legend: {
                     display: false,
                 },
+                sessionShading: {
+                    ranges: isIntraday ? getExtendedHoursRanges(data) : [],
+                },
+                crosshair: {
+                    color: theme.tick,
+                },
                 tooltip: {
-                    backgroundColor: '#1a2235',
-                    titleColor: '#f8fafc',
-                    bodyColor: '#94a3b8',
-                    borderColor: '#1e293b',
+                    backgroundColor: theme.tooltipBackground,
+                    titleColor: theme.tooltipTitle,
+                    bodyColor: theme.tooltipBody,
+                    borderColor: theme.border,
                     borderWidth: 1,
                     padding: 12,
                     displayColors: false,
                     callbacks: {
-                        title: (items) => formatDate(items[0].label),
-                        label: (item) => `Price: ${formatCurrency(item.raw)}`,
+                        title: (items) => formatTooltipTitle(items, isIntraday),
+                        label: (item) => `Volume: ${formatNumber(item.raw)}`,
                     }
                 }
             },
             scales: {
                 x: {
                     type: 'time',
+                    ...getZoomBounds(),
                     time: {
-                        unit: getTimeUnit(state.timeRange),
-                        displayFormats: {
-                            day: 'MMM d',
-                            week: 'MMM d',
-                            month: 'MMM yyyy',
-                        }
+                        unit: getTimeUnit(range),
                     },
                     grid: {
-                        color: 'rgba(30, 41, 59, 0.5)',
+                        display: false,
                     },
                     ticks: {
-                        color: '#64748b',
-                        font: {
-                            family: "'JetBrains Mono', monospace",
-                            size: 11,
-                        }
+                        display: false,
                     }
                 },
                 y: {
                     grid: {
-                        color: 'rgba(30, 41, 59, 0.5)',
+                        color: theme.grid,
                     },
                     ticks: {
-                        color: '#64748b',
+                        color: theme.tick,
                         font: {
                             family: "'JetBrains Mono', monospace",
-                            size: 11,
+                            size: 10,
                         },
-                        callback: (value) => '$' + value.toFixed(0),
+                        callback: (value) => formatCompactNumber(value),
                     }
                 }
             }
         }
-    });
+    });
+}
+
+function getOverlayDatasets(indicators) {
+    const line = (label, data, color, extra = {}) => ({
+        type: 'line',
+        label,
+        data,
+        borderColor: color,
+        backgroundColor: 'transparent',
+        borderWidth: 1.5,
+        fill: false,
+        tension: 0.1,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        spanGaps: false,
+        ...extra,
+    });
+    
+    const datasets = [];
+    const settings = state.indicators;
+    
+    if (indicators.sma) {
+        datasets.push(line(`SMA ${settings.sma.period}`, indicators.sma, '#f59e0b'));
+    }
+    if (indicators.ema) {
+        datasets.push(line(`EMA ${settings.ema.period}`, indicators.ema, '#8b5cf6'));
+    }
+    if (indicators.bollinger) {
+        const { period, stdDev } = settings.bollinger;
+        datasets.push(line(`BB Upper (${period}, ${stdDev})`, indicators.bollinger.upper, 'rgba(59, 130, 246, 0.8)', { borderWidth: 1 }));
+        datasets.push(line(`BB Middle (${period})`, indicators.bollinger.middle, 'rgba(59, 130, 246, 0.5)', { borderWidth: 1, borderDash: [4, 4] }));
+        datasets.push(line(`BB Lower (${period}, ${stdDev})`, indicators.bollinger.lower, 'rgba(59, 130, 246, 0.8)', {
+            borderWidth: 1,
+            fill: '-2', // Shade the band back to the upper line
+            backgroundColor: 'rgba(59, 130, 246, 0.06)',
+        }));
+    }
+    if (indicators.vwap) {
+        datasets.push(line('VWAP', indicators.vwap, '#ec4899', { borderDash: [6, 3] }));
+    }
+    
+    return datasets;
+}
+
+function renderOscillatorCharts(data, indicators) {
+    const showRsi = Boolean(indicators.rsi);
+    const showMacd = Boolean(indicators.macd);
+    
+    elements.oscillatorSection.classList.toggle('hidden', !showRsi && !showMacd);
+    elements.rsiPanel.classList.toggle('hidden', !showRsi);
+    elements.macdPanel.classList.toggle('hidden', !showMacd);
+    
+    if (state.rsiChart) {
+        state.rsiChart.destroy();
+        state.rsiChart = null;
+    }
+    if (state.macdChart) {
+        state.macdChart.destroy();
+        state.macdChart = null;
+    }
+    
+    const labels = data.map(d => d.date);
+    
+    if (showRsi) {
+        state.rsiChart = new Chart(elements.rsiChart.getContext('2d'), {
+            type: 'line',
+            plugins: [crosshairPlugin, selectionPlugin],
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: `RSI ${state.indicators.rsi.period}`,
+                        data: indicators.rsi,
+                        borderColor: '#8b5cf6',
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        tension: 0.1,
+                    },
+                    {
+                        label: 'Overbought',
+                        data: labels.map(() => 70),
+                        borderColor: 'rgba(239, 68, 68, 0.5)',
+                        borderWidth: 1,
+                        borderDash: [4, 4],
+                        pointRadius: 0,
+                    },
+                    {
+                        label: 'Oversold',
+                        data: labels.map(() => 30),
+                        borderColor: 'rgba(0, 212, 170, 0.5)',
+                        borderWidth: 1,
+                        borderDash: [4, 4],
+                        pointRadius: 0,
+                    },
+                ],
+            },
+            options: getOscillatorOptions({ min: 0, max: 100 }, (value) => formatDecimal(value, 1)),
+        });
+    }
+    
+    if (showMacd) {
+        const { fast, slow, signal } = state.indicators.macd;
+        state.macdChart = new Chart(elements.macdChart.getContext('2d'), {
+            type: 'bar',
+            plugins: [crosshairPlugin, selectionPlugin],
+            data: {
+                labels,
+                datasets: [
+                    {
+                        type: 'line',
+                        label: `MACD (${fast}, ${slow})`,
+                        data: indicators.macd.macd,
+                        borderColor: '#3b82f6',
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        tension: 0.1,
+                    },
+                    {
+                        type: 'line',
+                        label: `Signal (${signal})`,
+                        data: indicators.macd.signal,
+                        borderColor: '#f59e0b',
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        tension: 0.1,
+                    },
+                    {
+                        type: 'bar',
+                        label: 'Histogram',
+                        data: indicators.macd.histogram,
+                        backgroundColor: indicators.macd.histogram.map(value =>
+                            value >= 0 ? 'rgba(0, 212, 170, 0.5)' : 'rgba(239, 68, 68, 0.5)'
+                        ),
+                        borderRadius: 2,
+                    },
+                ],
+            },
+            options: getOscillatorOptions({}, (value) => formatDecimal(value, 2)),
+        });
+    }
+}
+
+function getOscillatorOptions(yBounds, formatValue) {
+    const { range, isIntraday } = getChartSeries();
+    const theme = getChartTheme();
+    
+    return {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+            intersect: false,
+            mode: 'index',
+        },
+        plugins: {
+            legend: {
+                display: false,
+            },
+            crosshair: {
+                color: theme.tick,
+            },
+            tooltip: {
+                backgroundColor: theme.tooltipBackground,
+                titleColor: theme.tooltipTitle,
+                bodyColor: theme.tooltipBody,
+                borderColor: theme.border,
+                borderWidth: 1,
+                padding: 12,
+                displayColors: false,
+                filter: (item) => item.raw !== null && item.raw !== undefined,
+                callbacks: {
+                    title: (items) => formatTooltipTitle(items, isIntraday),
+                    label: (item) => `${item.dataset.label}: ${formatValue(item.raw)}`,
+                }
+            }
+        },
+        scales: {
+            x: {
+                type: 'time',
+                ...getZoomBounds(),
+                time: {
+                    unit: getTimeUnit(range),
+                },
+                grid: {
+                    display: false,
+                },
+                ticks: {
+                    display: false,
+                }
+            },
+            y: {
+                ...yBounds,
+                grid: {
+                    color: theme.grid,
+                },
+                ticks: {
+                    color: theme.tick,
+                    font: {
+                        family: "'JetBrains Mono', monospace",
+                        size: 10,
+                    },
+                }
+            }
+        }
+    };
+}
+
+function isOhlcChartType(type) {
+    return type === 'candlestick' || type === 'ohlc';
+}
+
+// Candles compare close to open; the other chart types compare to the
+// previous close. The volume bars follow whichever rule is on screen.
+function isUpBar(data, i) {
+    if (isOhlcChartType(state.chartType)) {
+        return data[i].close >= data[i].open;
+    }
+    return i === 0 || data[i].close >= data[i - 1].close;
+}
+
+function formatOhlcTooltip(data, index, currency) {
+    const d = data[index];
+    const reference = index > 0 ? data[index - 1].close : d.open;
+    const change = d.close - reference;
+    const changePercent = reference ? (change / reference) * 100 : 0;
+    const sign = change >= 0 ? '+' : '';
+    
+    return [
+        `Open: ${formatCurrency(d.open, currency)}`,
+        `High: ${formatCurrency(d.high, currency)}`,
+        `Low: ${formatCurrency(d.low, currency)}`,
+        `Close: ${formatCurrency(d.close, currency)}`,
+        `Change: ${sign}${formatCurrency(change, currency)} (${formatPercent(changePercent)})`,
+    ];
+}
+
+// Draws candlesticks or OHLC bars for datasets flagged with `ohlcStyle`
+const ohlcPlugin = {
+    id: 'ohlc',
+    afterDatasetsDraw(chart) {
+        const { ctx, chartArea } = chart;
+        
+        chart.data.datasets.forEach((dataset, datasetIndex) => {
+            if (!dataset.ohlcStyle) return;
+            
+            const rows = dataset.ohlcData;
+            const points = chart.getDatasetMeta(datasetIndex).data;
+            const yScale = chart.scales.y;
+            if (!rows || rows.length === 0) return;
+            
+            // Bar width follows the spacing between sessions
+            const spacing = points.length > 1
+                ? (points[points.length - 1].x - points[0].x) / (points.length - 1)
+                : 20;
+            const width = Math.max(1, Math.min(16, spacing * 0.6));
+            
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+            ctx.clip();
+            ctx.lineWidth = 1;
+            
+            rows.forEach((d, i) => {
+                const x = points[i].x;
+                const open = yScale.getPixelForValue(d.open);
+                const high = yScale.getPixelForValue(d.high);
+                const low = yScale.getPixelForValue(d.low);
+                const close = yScale.getPixelForValue(d.close);
+                const color = isUpBar(rows, i) ? '#00d4aa' : '#ef4444';
+                
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.moveTo(x, high);
+                ctx.lineTo(x, low);
+                
+                if (dataset.ohlcStyle === 'ohlc') {
+                    ctx.moveTo(x - width / 2, open);
+                    ctx.lineTo(x, open);
+                    ctx.moveTo(x, close);
+                    ctx.lineTo(x + width / 2, close);
+                    ctx.stroke();
+                } else {
+                    ctx.stroke();
+                    const top = Math.min(open, close);
+                    const height = Math.max(1, Math.abs(close - open));
+                    ctx.fillRect(x - width / 2, top, width, height);
+                }
+            });
+            
+            ctx.restore();
+        });
+    },
+};
+
+// Shades pre- and post-market hours behind intraday bars; the ranges come
+// from the chart's `sessionShading` plugin options
+const sessionShadingPlugin = {
+    id: 'sessionShading',
+    beforeDatasetsDraw(chart, args, options) {
+        const ranges = options.ranges || [];
+        if (ranges.length === 0) return;
+        
+        const { ctx, chartArea, scales: { x } } = chart;
+        ctx.save();
+        ctx.fillStyle = 'rgba(148, 163, 184, 0.07)';
+        ranges.forEach(({ start, end }) => {
+            const left = Math.max(chartArea.left, x.getPixelForValue(start));
+            const right = Math.min(chartArea.right, x.getPixelForValue(end));
+            if (right > left) {
+                ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+            }
+        });
+        ctx.restore();
+    },
+};
+
+const EARNINGS_COLORS = { beat: '#00d4aa', miss: '#ef4444', inline: '#94a3b8' };
+
+// Draws an "E" badge along the bottom of the price chart on each earnings
+// report date, coloured by beat or miss
+const earningsMarkersPlugin = {
+    id: 'earningsMarkers',
+    afterDatasetsDraw(chart, args, options) {
+        const markers = options.markers || [];
+        if (markers.length === 0) return;
+        
+        const { ctx, chartArea, scales: { x } } = chart;
+        const radius = 7;
+        const y = chartArea.bottom - radius - 2;
+        
+        ctx.save();
+        ctx.font = "600 9px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        markers.forEach(marker => {
+            const xPos = x.getPixelForValue(marker.date);
+            if (xPos < chartArea.left || xPos > chartArea.right) return;
+            
+            ctx.fillStyle = EARNINGS_COLORS[marker.result] || EARNINGS_COLORS.inline;
+            ctx.beginPath();
+            ctx.arc(xPos, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#0a0e17';
+            ctx.fillText('E', xPos, y + 0.5);
+        });
+        ctx.restore();
+    },
+};
+
+const CORPORATE_ACTION_BADGES = {
+    dividend: { label: 'D', color: '#f59e0b' },
+    split: { label: 'S', color: '#a78bfa' },
+};
+
+// Draws a "D" (ex-dividend) or "S" (split) badge along the top of the price
+// chart on each ex-date; the bar's tooltip gives the amount or ratio
+const corporateActionsPlugin = {
+    id: 'corporateActions',
+    afterDatasetsDraw(chart, args, options) {
+        const markers = options.markers || [];
+        if (markers.length === 0) return;
+        
+        const { ctx, chartArea, scales: { x } } = chart;
+        const radius = 7;
+        const stacked = new Map(); // Badges already drawn per date
+        
+        ctx.save();
+        ctx.font = "600 9px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        markers.forEach(marker => {
+            const xPos = x.getPixelForValue(marker.date);
+            if (xPos < chartArea.left || xPos > chartArea.right) return;
+            
+            const row = stacked.get(marker.date) || 0;
+            stacked.set(marker.date, row + 1);
+            const y = chartArea.top + radius + 2 + row * (radius * 2 + 2);
+            const badge = CORPORATE_ACTION_BADGES[marker.type];
+            
+            ctx.fillStyle = badge.color;
+            ctx.beginPath();
+            ctx.arc(xPos, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#0a0e17';
+            ctx.fillText(badge.label, xPos, y + 0.5);
+        });
+        ctx.restore();
+    },
+};
+
+// Tooltip lines for a bar that went ex-dividend or split
+function formatCorporateActions(bar, currency) {
+    const lines = [];
+    if (bar.dividend > 0) lines.push(`Ex-dividend: ${formatCurrency(bar.dividend, currency)}`);
+    if (bar.split > 0 && bar.split !== 1) lines.push(`Split: ${formatSplitRatio(bar.split)}`);
+    return lines;
+}
+
+function formatTooltipTitle(items, isIntraday) {
+    return isIntraday ? formatExchangeDateTime(items[0].parsed.x) : formatDate(items[0].label);
+}
+
+// ============================================
+// Chart Interaction
+// ============================================
+// The price, volume, RSI and MACD charts plot the same bars
+// (state.chartRows), so zoom, crosshair and measurements are kept as bar
+// indexes and applied to all of them. Dragging zooms, pans or measures
+// depending on state.chartTool; the wheel zooms around the pointer.
+function getTimeSeriesCharts() {
+    return [state.priceChart, state.volumeChart, state.rsiChart, state.macdChart].filter(Boolean);
+}
+
+function getTimeSeriesCanvases() {
+    return [elements.priceChart, elements.volumeChart, elements.rsiChart, elements.macdChart];
+}
+
+function redrawTimeSeriesCharts() {
+    getTimeSeriesCharts().forEach(chart => chart.draw());
+}
+
+// Called when the bars change (new symbol, range or bar size)
+function resetChartView() {
+    state.chartZoom = null;
+    state.chartDrag = null;
+    state.zoomSelection = null;
+    state.crosshairIndex = null;
+    state.measurement = null;
+    elements.resetZoom.classList.add('hidden');
+    elements.measureReadout.classList.add('hidden');
+}
+
+function setChartTool(tool) {
+    state.chartTool = tool;
+    setActiveButton(elements.toolBtns, 'tool', tool);
+    getTimeSeriesCanvases().forEach(canvas => {
+        canvas.style.cursor = tool === 'pan' ? 'grab' : 'crosshair';
+    });
+    if (tool !== 'measure' && state.measurement) {
+        clearMeasurement();
+    }
+}
+
+// x-axis limits for the current zoom, spread into each chart's x scale
+function getZoomBounds() {
+    const zoom = state.chartZoom;
+    const rows = state.chartRows;
+    if (!zoom || !rows[zoom.end]) return {};
+    return { min: rows[zoom.start].date, max: rows[zoom.end].date };
+}
+
+// Suggested y-axis limits covering the highs and lows of the bars in view
+function getWickBounds(data) {
+    const { start = 0, end = data.length - 1 } = state.chartZoom || {};
+    const rows = data.slice(start, end + 1);
+    return {
+        suggestedMin: Math.min(...rows.map(d => d.low)),
+        suggestedMax: Math.max(...rows.map(d => d.high)),
+    };
+}
+
+// Shows bars start..end on every time-series chart. Fractional indexes are
+// rounded and the window is kept inside the data; null, or a window
+// covering every bar, shows the whole range.
+function setChartZoom(zoom) {
+    const last = state.chartRows.length - 1;
+    if (zoom) {
+        const span = Math.max(CONFIG.CHART_MIN_BARS - 1, Math.round(zoom.end - zoom.start));
+        const start = Math.min(Math.max(0, Math.round(zoom.start)), last - span);
+        zoom = span >= last ? null : { start, end: start + span };
+    }
+    
+    state.chartZoom = zoom;
+    elements.resetZoom.classList.toggle('hidden', !zoom);
+    
+    const bounds = getZoomBounds();
+    getTimeSeriesCharts().forEach(chart => {
+        chart.options.scales.x.min = bounds.min;
+        chart.options.scales.x.max = bounds.max;
+        if (chart === state.priceChart && isOhlcChartType(state.chartType)) {
+            Object.assign(chart.options.scales.y, getWickBounds(state.chartRows));
+        }
+        chart.update('none');
+    });
+}
+
+function isInChartArea(chart, x, y) {
+    const { left, right, top, bottom } = chart.chartArea;
+    return x >= left && x <= right && y >= top && y <= bottom;
+}
+
+// Index of the bar drawn nearest to an x pixel
+function getBarIndexAtPixel(chart, x) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    chart.getDatasetMeta(0).data.forEach((point, index) => {
+        const distance = Math.abs(point.x - x);
+        if (distance < nearestDistance) {
+            nearest = index;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+function handleChartWheel(e) {
+    const chart = Chart.getChart(e.currentTarget);
+    if (!chart || !isInChartArea(chart, e.offsetX, e.offsetY)) return;
+    
+    // Zooming out of the full range would do nothing, so let the page scroll
+    const zoomIn = e.deltaY < 0;
+    if (!zoomIn && !state.chartZoom) return;
+    e.preventDefault();
+    
+    const index = getBarIndexAtPixel(chart, e.offsetX);
+    const { start, end } = state.chartZoom || { start: 0, end: state.chartRows.length - 1 };
+    const factor = zoomIn ? 1 / CONFIG.CHART_ZOOM_STEP : CONFIG.CHART_ZOOM_STEP;
+    setChartZoom({
+        start: index - (index - start) * factor,
+        end: index + (end - index) * factor,
+    });
+}
+
+function handleChartPointerDown(e) {
+    const chart = Chart.getChart(e.currentTarget);
+    if (e.button !== 0 || !chart || !isInChartArea(chart, e.offsetX, e.offsetY)) return;
+    
+    e.currentTarget.setPointerCapture(e.pointerId);
+    state.chartDrag = {
+        chart,
+        startX: e.offsetX,
+        startIndex: getBarIndexAtPixel(chart, e.offsetX),
+        zoom: state.chartZoom,
+        moved: false,
+    };
+    if (state.chartTool === 'pan') {
+        e.currentTarget.style.cursor = 'grabbing';
+    }
+}
+
+function handleChartPointerMove(e) {
+    const drag = state.chartDrag;
+    if (!drag || drag.chart.canvas !== e.currentTarget) return;
+    
+    // Ignore the jitter of a plain click
+    if (!drag.moved && Math.abs(e.offsetX - drag.startX) < 4) return;
+    drag.moved = true;
+    
+    const index = getBarIndexAtPixel(drag.chart, e.offsetX);
+    switch (state.chartTool) {
+        case 'pan': {
+            if (!drag.zoom) return;
+            const { left, right } = drag.chart.chartArea;
+            const barsPerPixel = (drag.zoom.end - drag.zoom.start) / (right - left);
+            const shift = (drag.startX - e.offsetX) * barsPerPixel;
+            setChartZoom({ start: drag.zoom.start + shift, end: drag.zoom.end + shift });
+            break;
+        }
+        case 'measure':
+            state.measurement = { from: drag.startIndex, to: index };
+            renderMeasurement();
+            break;
+        default:
+            state.zoomSelection = { from: drag.startIndex, to: index };
+            redrawTimeSeriesCharts();
+    }
+}
+
+function handleChartPointerUp(e) {
+    const drag = state.chartDrag;
+    if (!drag) return;
+    state.chartDrag = null;
+    e.currentTarget.style.cursor = state.chartTool === 'pan' ? 'grab' : 'crosshair';
+    
+    if (state.zoomSelection) {
+        const { from, to } = state.zoomSelection;
+        state.zoomSelection = null;
+        if (from !== to) {
+            setChartZoom({ start: Math.min(from, to), end: Math.max(from, to) });
+        } else {
+            redrawTimeSeriesCharts();
+        }
+    } else if (state.chartTool === 'measure' && !drag.moved) {
+        // A click without a drag clears the measurement
+        clearMeasurement();
+    }
+}
+
+// Sets the bar under the pointer and shows every other chart's tooltip for
+// it; returns whether it changed
+function syncCrosshair(index, source) {
+    if (state.crosshairIndex === index) return false;
+    state.crosshairIndex = index;
+    
+    getTimeSeriesCharts().filter(chart => chart !== source).forEach(chart => {
+        const active = index === null
+            ? []
+            : chart.data.datasets.map((dataset, datasetIndex) => ({ datasetIndex, index }));
+        chart.tooltip.setActiveElements(active, { x: 0, y: 0 });
+        chart.draw();
+    });
+    return true;
+}
+
+function renderMeasurement() {
+    const { measurement } = state;
+    const rows = state.chartRows;
+    const isVisible = Boolean(measurement && rows[measurement.from] && rows[measurement.to])
+        && measurement.from !== measurement.to;
+    
+    elements.measureReadout.classList.toggle('hidden', !isVisible);
+    if (isVisible) {
+        const result = measureRange(rows, measurement.from, measurement.to);
+        const { isIntraday } = getChartSeries();
+        const formatWhen = (d) => (isIntraday ? formatExchangeDateTime(d.date) : formatDate(d.date));
+        const unit = isIntraday ? 'bar' : 'trading day';
+        
+        elements.measureReadout.textContent = [
+            `${formatWhen(result.from)} → ${formatWhen(result.to)}`,
+            `${result.change >= 0 ? '+' : ''}${formatCurrency(result.change, getSymbolCurrency(state.currentSymbol))} (${formatPercent(result.changePercent)})`,
+            `${result.periods} ${unit}${result.periods === 1 ? '' : 's'}`,
+            `${formatCompactNumber(result.volume)} shares traded`,
+        ].join(' · ');
+        elements.measureReadout.classList.toggle('positive', result.change >= 0);
+        elements.measureReadout.classList.toggle('negative', result.change < 0);
+    }
+    
+    redrawTimeSeriesCharts();
+}
+
+function clearMeasurement() {
+    state.measurement = null;
+    renderMeasurement();
+}
+
+// Draws a dashed line through the hovered bar and, via syncCrosshair,
+// shows the same bar on the other time-series charts
+const crosshairPlugin = {
+    id: 'crosshair',
+    afterEvent(chart, args) {
+        const { event } = args;
+        if (event.type === 'mouseout') {
+            if (syncCrosshair(null, chart)) args.changed = true;
+        } else if (event.type === 'mousemove') {
+            const index = isInChartArea(chart, event.x, event.y) ? getBarIndexAtPixel(chart, event.x) : null;
+            if (syncCrosshair(index, chart)) args.changed = true;
+        }
+    },
+    afterDatasetsDraw(chart, args, options) {
+        const point = state.crosshairIndex === null ? null : chart.getDatasetMeta(0).data[state.crosshairIndex];
+        if (!point) return;
+        
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        ctx.strokeStyle = options.color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(point.x, chartArea.top);
+        ctx.lineTo(point.x, chartArea.bottom);
+        ctx.stroke();
+        ctx.restore();
+    },
+};
+
+// Shades the zoom window being dragged out, or the measured span; with
+// `showLine` also joins the two measured closes
+const selectionPlugin = {
+    id: 'selection',
+    beforeDatasetsDraw(chart) {
+        const span = state.zoomSelection || state.measurement;
+        const points = chart.getDatasetMeta(0).data;
+        if (!span || !points[span.from] || !points[span.to]) return;
+        
+        const { ctx, chartArea } = chart;
+        const left = Math.max(chartArea.left, Math.min(points[span.from].x, points[span.to].x));
+        const right = Math.min(chartArea.right, Math.max(points[span.from].x, points[span.to].x));
+        
+        ctx.save();
+        ctx.fillStyle = state.zoomSelection ? 'rgba(59, 130, 246, 0.15)' : 'rgba(148, 163, 184, 0.12)';
+        ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+        ctx.restore();
+    },
+    afterDatasetsDraw(chart, args, options) {
+        const span = state.measurement;
+        const points = chart.getDatasetMeta(0).data;
+        if (!options.showLine || state.zoomSelection || !span || !points[span.from] || !points[span.to]) return;
+        
+        const [from, to] = span.from < span.to ? [points[span.from], points[span.to]] : [points[span.to], points[span.from]];
+        const { ctx } = chart;
+        ctx.save();
+        ctx.strokeStyle = to.y <= from.y ? '#00d4aa' : '#ef4444';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        [from, to].forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.fill();
+        });
+        ctx.restore();
+    },
+};
+
+// ============================================
+// Technical Indicators
+// ============================================
+// Runs the enabled indicators over the full history so the first visible
+// point already has a value, then keeps the last `count` points.
+function computeIndicators(history, count) {
+    const settings = state.indicators;
+    const closes = history.map(d => d.close);
+    const visible = (series) => series.slice(history.length - count);
+    const result = {};
+    
+    if (settings.sma.enabled) {
+        result.sma = visible(calculateSMA(closes, settings.sma.period));
+    }
+    if (settings.ema.enabled) {
+        result.ema = visible(calculateEMA(closes, settings.ema.period));
+    }
+    if (settings.bollinger.enabled) {
+        const bands = calculateBollingerBands(closes, settings.bollinger.period, settings.bollinger.stdDev);
+        result.bollinger = {
+            upper: visible(bands.upper),
+            middle: visible(bands.middle),
+            lower: visible(bands.lower),
+        };
+    }
+    if (settings.vwap.enabled) {
+        result.vwap = calculateVWAP(history.slice(history.length - count));
+    }
+    if (settings.rsi.enabled) {
+        result.rsi = visible(calculateRSI(closes, settings.rsi.period));
+    }
+    if (settings.macd.enabled) {
+        const { fast, slow, signal } = settings.macd;
+        const macd = calculateMACD(closes, fast, slow, signal);
+        result.macd = {
+            macd: visible(macd.macd),
+            signal: visible(macd.signal),
+            histogram: visible(macd.histogram),
+        };
+    }
+    
+    return result;
+}
+
+function loadIndicatorSettings() {
+    const settings = JSON.parse(JSON.stringify(DEFAULT_INDICATORS));
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.INDICATORS_KEY) || '{}');
+        Object.keys(settings).forEach(name => {
+            if (saved[name]) Object.assign(settings[name], saved[name]);
+        });
+    } catch (error) {
+        console.warn('Ignoring invalid indicator settings:', error);
+    }
+    
+    return settings;
+}
+
+function saveIndicatorSettings() {
+    localStorage.setItem(CONFIG.INDICATORS_KEY, JSON.stringify(state.indicators));
+}
+
+function setIndicatorEnabled(name, enabled) {
+    state.indicators[name].enabled = enabled;
+    syncIndicatorInputs();
+    saveIndicatorSettings();
+    syncUrl();
+    if (state.stockData) {
+        updateCharts();
+    }
+}
+
+function syncIndicatorInputs() {
+    elements.indicatorToggles.forEach(input => {
+        input.checked = state.indicators[input.dataset.indicator].enabled;
+    });
+    elements.indicatorParams.forEach(input => {
+        input.value = state.indicators[input.dataset.indicator][input.dataset.param];
+    });
+}
+
+// ============================================
+// Preferences
+// ============================================
+function loadPreferences() {
+    const preferences = { ...DEFAULT_PREFERENCES };
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.PREFERENCES_KEY) || '{}');
+        Object.keys(preferences).forEach(name => {
+            if (typeof saved[name] === 'string') preferences[name] = saved[name];
+        });
+    } catch (error) {
+        console.warn('Ignoring invalid preferences:', error);
+    }
+    
+    if (!isSupportedLocale(preferences.locale)) {
+        console.warn(`Ignoring unsupported locale: ${preferences.locale}`);
+        preferences.locale = 'auto';
+    }
+    return preferences;
+}
+
+function savePreferences() {
+    localStorage.setItem(CONFIG.PREFERENCES_KEY, JSON.stringify(state.preferences));
+}
+
+function setPreference(name, value) {
+    state.preferences[name] = value;
+    savePreferences();
+    applyPreferences();
+}
+
+// Re-renders everything that shows numbers, dates or chart colours
+function applyPreferences() {
+    applyTheme();
+    updateTimestamp();
+    updateMarketStatus();
+    renderWatchlist();
+    renderAlerts();
+    renderPortfolio();
+    if (state.stockData) {
+        displayStockData();
+        updateCharts();
+    }
+    if (state.compareSymbols.length > 0) {
+        renderComparison();
+    }
+}
+
+// A listing's trading currency, from its company overview when one has
+// been loaded; US dollars otherwise
+function getSymbolCurrency(symbol) {
+    const overview = symbol === state.currentSymbol && state.stockData?.overview
+        ? state.stockData.overview
+        : getFromCache(`overview_${symbol}`, { allowStale: true });
+    return overview?.currency || 'USD';
+}
+
+function applyTheme() {
+    let theme = state.preferences.theme;
+    if (theme === 'system') {
+        theme = window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+    }
+    document.documentElement.dataset.theme = theme;
+}
+
+// Chart.js paints on a canvas, so it gets the theme's CSS variables as values
+function getChartTheme() {
+    const styles = getComputedStyle(document.documentElement);
+    const read = (name) => styles.getPropertyValue(name).trim();
+    return {
+        text: read('--text-secondary'),
+        tick: read('--text-muted'),
+        grid: read('--chart-grid'),
+        border: read('--border-color'),
+        card: read('--bg-card'),
+        tooltipBackground: read('--bg-elevated'),
+        tooltipTitle: read('--text-primary'),
+        tooltipBody: read('--text-secondary'),
+    };
+}
+
+// ============================================
+// Keyboard Shortcuts
+// ============================================
+// Single-key shortcuts are ignored while typing in a field or while a
+// dialog is open. Ctrl+K (⌘K on macOS) and Escape work everywhere.
+const RANGE_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0']; // TIME_RANGES, in order
+const CHART_TYPE_KEYS = { l: 'line', b: 'bar', a: 'area', c: 'candlestick', o: 'ohlc' };
+const CHART_TYPE_LABELS = { line: 'Line', bar: 'Bar', area: 'Area', candlestick: 'Candlestick', ohlc: 'OHLC' };
+
+// Listed by the `?` overlay
+const SHORTCUTS = [
+    { keys: ['/'], description: 'Focus the symbol search' },
+    { keys: ['Ctrl+K', '⌘K'], description: 'Open the command palette' },
+    { keys: ['1 - 9', '0'], description: `Time range: ${TIME_RANGES.join(', ')}` },
+    { keys: ['L', 'B', 'A', 'C', 'O'], description: 'Chart type: line, bar, area, candlestick, OHLC' },
+    { keys: ['↑', '↓'], description: 'Step through the watchlist' },
+    { keys: ['←', '→'], description: 'Step through the quick picks' },
+    { keys: ['Enter'], description: 'Load the focused symbol' },
+    { keys: ['?'], description: 'Show keyboard shortcuts' },
+    { keys: ['Esc'], description: 'Close the open dialog or clear the measurement' },
+];
+
+function handleGlobalKeydown(e) {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (elements.commandPalette.classList.contains('hidden')) {
+            openPalette();
+        } else {
+            closePalette();
+        }
+        return;
+    }
+    
+    if (e.key === 'Escape') {
+        if (isDialogOpen()) {
+            closeDialogs();
+        } else {
+            clearMeasurement();
+        }
+        return;
+    }
+    
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (isEditableTarget(e.target) || isDialogOpen()) return;
+    
+    const rangeIndex = RANGE_KEYS.indexOf(e.key);
+    const chartType = CHART_TYPE_KEYS[e.key.toLowerCase()];
+    
+    if (e.key === '/') {
+        elements.searchInput.focus();
+        elements.searchInput.select();
+    } else if (e.key === '?') {
+        showShortcuts();
+    } else if (rangeIndex !== -1 && TIME_RANGES[rangeIndex]) {
+        setTimeRange(TIME_RANGES[rangeIndex]).then(() => syncUrl());
+    } else if (chartType) {
+        setChartType(chartType);
+        syncUrl();
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        stepSymbolFocus([...elements.watchlist.querySelectorAll('.watchlist-row')], e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        stepSymbolFocus([...elements.quickBtns], e.key === 'ArrowRight' ? 1 : -1);
+    } else {
+        return;
+    }
+    e.preventDefault();
 }
 
-function renderVolumeChart(data) {
-    const ctx = elements.volumeChart.getContext('2d');
+// Text fields keep their keys; checkboxes and buttons don't need them
+function isEditableTarget(target) {
+    if (target.isContentEditable) return true;
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type);
+}
+
+function isDialogOpen() {
+    return Boolean(document.querySelector('.modal-overlay:not(.hidden)'));
+}
+
+function closeDialogs() {
+    if (!elements.commandPalette.classList.contains('hidden')) closePalette();
+    if (!elements.shortcutsModal.classList.contains('hidden')) hideShortcuts();
+    if (!elements.settingsModal.classList.contains('hidden')) hideSettings();
+}
+
+// Moves focus to the next or previous item (each with data-symbol),
+// starting from the focused item or the symbol on screen. Enter loads it.
+function stepSymbolFocus(items, step) {
+    if (items.length === 0) return;
     
-    // Destroy existing chart
-    if (state.volumeChart) {
-        state.volumeChart.destroy();
+    let index = items.indexOf(document.activeElement);
+    if (index === -1) {
+        index = items.findIndex(item => item.dataset.symbol === state.currentSymbol);
+    }
+    const next = index === -1
+        ? (step > 0 ? 0 : items.length - 1)
+        : (index + step + items.length) % items.length;
+    items[next].focus();
+}
+
+function showShortcuts() {
+    elements.shortcutsModal.classList.remove('hidden');
+    elements.closeShortcuts.focus();
+}
+
+function hideShortcuts() {
+    elements.shortcutsModal.classList.add('hidden');
+}
+
+function renderShortcutList() {
+    elements.shortcutList.replaceChildren(...SHORTCUTS.flatMap(({ keys, description }) => {
+        const term = document.createElement('dt');
+        keys.forEach(key => {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = key;
+            term.appendChild(kbd);
+        });
+        
+        const detail = document.createElement('dd');
+        detail.textContent = description;
+        return [term, detail];
+    }));
+}
+
+function openPalette() {
+    state.paletteReturnFocus = document.activeElement;
+    elements.paletteInput.value = '';
+    renderPalette();
+    elements.commandPalette.classList.remove('hidden');
+    elements.paletteInput.focus();
+}
+
+function closePalette() {
+    elements.commandPalette.classList.add('hidden');
+    state.paletteCommands = [];
+    state.activePaletteCommand = -1;
+    if (state.paletteReturnFocus && document.contains(state.paletteReturnFocus)) {
+        state.paletteReturnFocus.focus();
     }
+    state.paletteReturnFocus = null;
+}
+
+function handlePaletteKeydown(e) {
+    const count = state.paletteCommands.length;
     
-    const labels = data.map(d => d.date);
-    const volumes = data.map(d => d.volume);
-    const prices = data.map(d => d.close);
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            e.preventDefault();
+            if (count === 0) return;
+            highlightPaletteCommand(e.key === 'ArrowDown'
+                ? (state.activePaletteCommand + 1) % count
+                : (state.activePaletteCommand - 1 + count) % count);
+            break;
+        case 'Enter':
+            e.preventDefault();
+            if (state.activePaletteCommand >= 0) {
+                runPaletteCommand(state.paletteCommands[state.activePaletteCommand]);
+            }
+            break;
+    }
+}
+
+function runPaletteCommand(command) {
+    closePalette();
+    command.run();
+}
+
+// Every word typed must appear in the command's group or label. A query
+// that looks like a ticker is also offered, last, as a symbol to load.
+function filterPaletteCommands(commands, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = commands.filter(command => {
+        const text = `${command.group} ${command.label}`.toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
     
-    state.volumeChart = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels,
-            datasets: [{
-                label: 'Volume',
-                data: volumes,
-                backgroundColor: prices.map((price, i) => 
-                    i === 0 || price >= prices[i - 1] ? 'rgba(0, 212, 170, 0.5)' : 'rgba(239, 68, 68, 0.5)'
-                ),
-                borderColor: prices.map((price, i) => 
-                    i === 0 || price >= prices[i - 1] ? '#00d4aa' : '#ef4444'
-                ),
-                borderWidth: 1,
-                borderRadius: 2,
-            }]
+    const symbol = query.trim().toUpperCase();
+    const isListed = commands.some(command => command.symbol === symbol);
+    if (isValidSymbol(symbol) && !isListed) {
+        matches.push({ group: 'Symbol', label: `Go to ${symbol}`, symbol, run: () => goToSymbol(symbol) });
+    }
+    
+    return matches;
+}
+
+// Rebuilt on every keystroke so toggles show the current state
+function getPaletteCommands() {
+    const symbols = new Set([
+        ...state.watchlist,
+        ...[...elements.quickBtns].map(btn => btn.dataset.symbol),
+        ...(state.snapshot ? state.snapshot.symbols : []),
+    ]);
+    
+    const commands = [...symbols].map(symbol => ({
+        group: 'Symbol',
+        label: `Go to ${symbol}`,
+        symbol,
+        run: () => goToSymbol(symbol),
+    }));
+    
+    TIME_RANGES.forEach((range, i) => commands.push({
+        group: 'Range',
+        label: `Time range ${range}`,
+        hint: RANGE_KEYS[i],
+        run: () => setTimeRange(range).then(() => syncUrl()),
+    }));
+    
+    Object.entries(CHART_TYPE_KEYS).forEach(([key, type]) => commands.push({
+        group: 'Chart',
+        label: `${CHART_TYPE_LABELS[type]} chart`,
+        hint: key.toUpperCase(),
+        run: () => {
+            setChartType(type);
+            syncUrl();
         },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: {
-                    display: false,
-                },
-                tooltip: {
-                    backgroundColor: '#1a2235',
-                    titleColor: '#f8fafc',
-                    bodyColor: '#94a3b8',
-                    borderColor: '#1e293b',
-                    borderWidth: 1,
-                    padding: 12,
-                    displayColors: false,
-                    callbacks: {
-                        title: (items) => formatDate(items[0].label),
-                        label: (item) => `Volume: ${formatNumber(item.raw)}`,
-                    }
-                }
+    }));
+    
+    const otherPriceMode = state.priceMode === 'adjusted' ? 'raw' : 'adjusted';
+    commands.push({
+        group: 'Chart',
+        label: otherPriceMode === 'adjusted' ? 'Adjust prices for splits and dividends' : 'Show prices as traded',
+        run: () => setPriceMode(otherPriceMode).then(() => syncUrl()),
+    });
+    
+    elements.indicatorToggles.forEach(input => {
+        const name = input.dataset.indicator;
+        const enabled = state.indicators[name].enabled;
+        commands.push({
+            group: 'Indicator',
+            label: `${enabled ? 'Hide' : 'Show'} ${input.parentElement.textContent.trim()}`,
+            run: () => setIndicatorEnabled(name, !enabled),
+        });
+    });
+    
+    [...elements.providerSelect.options]
+        .filter(option => option.value !== state.providerId)
+        .forEach(option => commands.push({
+            group: 'Settings',
+            label: `Data source: ${option.textContent}`,
+            run: () => {
+                elements.providerSelect.value = option.value;
+                setProvider(option.value);
             },
-            scales: {
-                x: {
-                    type: 'time',
-                    time: {
-                        unit: getTimeUnit(state.timeRange),
-                    },
-                    grid: {
-                        display: false,
-                    },
-                    ticks: {
-                        display: false,
-                    }
-                },
-                y: {
-                    grid: {
-                        color: 'rgba(30, 41, 59, 0.5)',
-                    },
-                    ticks: {
-                        color: '#64748b',
-                        font: {
-                            family: "'JetBrains Mono', monospace",
-                            size: 10,
-                        },
-                        callback: (value) => formatCompactNumber(value),
-                    }
-                }
-            }
+        }));
+    
+    if (state.currentSymbol && !state.watchlist.includes(state.currentSymbol)) {
+        commands.push({
+            group: 'Watchlist',
+            label: `Add ${state.currentSymbol} to watchlist`,
+            run: () => addToWatchlist(state.currentSymbol),
+        });
+    }
+    
+    commands.push(
+        { group: 'Settings', label: 'Enter API key', run: showApiModal },
+        { group: 'Settings', label: 'Open settings', run: showSettings },
+        { group: 'Help', label: 'Keyboard shortcuts', hint: '?', run: showShortcuts },
+    );
+    
+    return commands;
+}
+
+function goToSymbol(symbol) {
+    elements.searchInput.value = symbol;
+    searchStock(symbol);
+}
+
+function renderPalette() {
+    const commands = filterPaletteCommands(getPaletteCommands(), elements.paletteInput.value);
+    state.paletteCommands = commands;
+    
+    const items = commands.map((command, index) => {
+        const item = document.createElement('li');
+        item.className = 'palette-item';
+        item.id = `palette-item-${index}`;
+        item.setAttribute('role', 'option');
+        
+        const groupEl = document.createElement('span');
+        groupEl.className = 'palette-group';
+        groupEl.textContent = command.group;
+        
+        const labelEl = document.createElement('span');
+        labelEl.className = 'palette-label';
+        labelEl.textContent = command.label;
+        
+        item.append(groupEl, labelEl);
+        if (command.hint) {
+            const hintEl = document.createElement('kbd');
+            hintEl.textContent = command.hint;
+            item.appendChild(hintEl);
         }
+        
+        // mousedown so the input keeps focus until the command runs
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            runPaletteCommand(command);
+        });
+        item.addEventListener('mousemove', () => highlightPaletteCommand(index));
+        
+        return item;
     });
+    
+    elements.paletteList.replaceChildren(...items);
+    elements.paletteEmpty.classList.toggle('hidden', items.length > 0);
+    highlightPaletteCommand(items.length > 0 ? 0 : -1);
 }
 
-function getTimeUnit(range) {
-    switch (range) {
-        case '5D':
-        case '1W':
-            return 'day';
-        case '1M':
-        case '3M':
-            return 'week';
-        default:
-            return 'month';
+function highlightPaletteCommand(index) {
+    state.activePaletteCommand = index;
+    [...elements.paletteList.children].forEach((item, i) => {
+        item.classList.toggle('active', i === index);
+        item.setAttribute('aria-selected', String(i === index));
+    });
+    if (index >= 0) {
+        elements.paletteList.children[index].scrollIntoView({ block: 'nearest' });
+        elements.paletteInput.setAttribute('aria-activedescendant', `palette-item-${index}`);
+    } else {
+        elements.paletteInput.removeAttribute('aria-activedescendant');
     }
 }
 
 // ============================================
 // UI Helper Functions
 // ============================================
+// Marks the button whose data-<key> matches `value` as the active one
+function setActiveButton(buttons, key, value) {
+    buttons.forEach(btn => btn.classList.toggle('active', btn.dataset[key] === value));
+}
+
 function showLoading(show) {
     elements.chartLoading.classList.toggle('hidden', !show);
 }
 
+function showSettings() {
+    renderCacheInspector();
+    renderApiKeySettings();
+    elements.settingsModal.classList.remove('hidden');
+}
+
+function hideSettings() {
+    elements.settingsModal.classList.add('hidden');
+}
+
+function renderCacheInspector() {
+    const now = Date.now();
+    const items = [...state.cache.values()].sort((a, b) => a.key.localeCompare(b.key));
+    const staleCount = items.filter(item => now > item.expires).length;
+    
+    elements.cacheSummary.textContent = items.length === 0
+        ? 'The cache is empty.'
+        : `${items.length} entries (${staleCount} expired). Expired entries are kept as a fallback when the API is unavailable.`;
+    
+    elements.cacheEntries.replaceChildren(...items.map(item => {
+        const row = document.createElement('tr');
+        const isExpired = now > item.expires;
+        [
+            item.key,
+            `${formatAge(now - item.timestamp)} ago`,
+            isExpired ? 'expired' : `fresh for ${formatAge(item.expires - now)}`,
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        row.classList.toggle('expired', isExpired);
+        return row;
+    }));
+}
+
 function showApiModal() {
     elements.apiModal.classList.remove('hidden');
 }
@@ -652,22 +4180,97 @@ function saveApiKey() {
         return;
     }
     
-    state.apiKey = key;
-    state.isDemo = false;
-    localStorage.setItem(CONFIG.STORAGE_KEY, key);
+    storeApiKey(key);
     hideApiModal();
     showToast('API key saved!', 'success');
+    if (isDemoMode()) {
+        setProvider('auto');
+    }
+}
+
+function storeApiKey(key) {
+    // Premium refusals belong to the old key; a new one may be allowed
+    if (key !== state.apiKey) {
+        state.fullHistoryUnavailable.clear();
+        state.adjustedUnavailable.clear();
+    }
+    state.apiKey = key;
+    if (key) {
+        localStorage.setItem(CONFIG.STORAGE_KEY, key);
+    } else {
+        localStorage.removeItem(CONFIG.STORAGE_KEY);
+    }
+}
+
+function renderApiKeySettings() {
+    elements.settingsApiKey.value = state.apiKey;
+    elements.settingsApiKey.type = 'password';
+    elements.toggleApiKey.textContent = 'Show';
+    elements.removeApiKey.disabled = !state.apiKey;
+    setApiKeyStatus(state.apiKey
+        ? `Saved key ending in ${state.apiKey.slice(-4)}.`
+        : 'No key saved. Snapshot and demo data work without one.');
+}
+
+function setApiKeyStatus(text, type = '') {
+    elements.apiKeyStatus.textContent = text;
+    elements.apiKeyStatus.classList.toggle('success', type === 'success');
+    elements.apiKeyStatus.classList.toggle('error', type === 'error');
+}
+
+function saveSettingsApiKey() {
+    const key = elements.settingsApiKey.value.trim();
+    if (!key) {
+        showToast('Please enter an API key', 'error');
+        return;
+    }
+    
+    storeApiKey(key);
+    renderApiKeySettings();
+    showToast('API key saved!', 'success');
+}
+
+function removeApiKey() {
+    if (!confirm('Remove the saved Alpha Vantage API key from this browser?')) return;
+    
+    storeApiKey('');
+    renderApiKeySettings();
+    showToast('API key removed', 'success');
+}
+
+// Tests the key in the field, which need not be saved yet
+async function testApiKey() {
+    const key = elements.settingsApiKey.value.trim();
+    if (!key) {
+        showToast('Please enter an API key', 'error');
+        return;
+    }
+    
+    elements.testApiKey.disabled = true;
+    setApiKeyStatus('Testing key (uses one API request)...');
+    try {
+        const quote = await PROVIDERS.alphavantage.testKey(key);
+        setApiKeyStatus(`Key works - IBM last traded at ${formatCurrency(quote.price)}.`, 'success');
+    } catch (error) {
+        setApiKeyStatus(`Key test failed: ${error.message}`, 'error');
+    } finally {
+        elements.testApiKey.disabled = false;
+    }
 }
 
 function enableDemoMode() {
-    state.isDemo = true;
-    state.apiKey = 'demo';
     hideApiModal();
-    showToast('Demo mode enabled', 'success');
-    searchStock('DEMO');
+    showToast('Demo mode enabled - switch back under Settings', 'success');
+    if (!state.currentSymbol) {
+        state.currentSymbol = CONFIG.DEFAULT_SYMBOL;
+    }
+    setProvider('mock');
 }
 
-function showToast(message, type = 'info') {
+// Messages can carry text from the network, so they are only ever set as
+// text. `action` ({ label, run }) adds a button that runs it and closes the
+// toast.
+function showToast(message, type = 'info', { action = null } = {}) {
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     
@@ -677,23 +4280,89 @@ function showToast(message, type = 'info') {
         info: 'ℹ',
     };
     
-    toast.innerHTML = `
-        <span class="toast-icon">${icons[type] || icons.info}</span>
-        <span class="toast-message">${message}</span>
-    `;
+    const icon = document.createElement('span');
+    icon.className = 'toast-icon';
+    icon.textContent = icons[type] || icons.info;
     
-    elements.toastContainer.appendChild(toast);
+    const text = document.createElement('span');
+    text.className = 'toast-message';
+    text.textContent = message;
     
-    // Auto-remove after 4 seconds
-    setTimeout(() => {
+    toast.append(icon, text);
+    
+    const dismiss = () => {
         toast.style.opacity = '0';
         toast.style.transform = 'translateX(100%)';
         setTimeout(() => toast.remove(), 300);
-    }, 4000);
+    };
+    
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            dismiss();
+            action.run();
+        });
+        toast.appendChild(button);
+    }
+    
+    elements.toastContainer.appendChild(toast);
+    
+    // Auto-remove after 4 seconds, or 8 when there is something to click
+    setTimeout(dismiss, action ? 8000 : 4000);
+}
+
+// Shows a failed load; `retry` is offered for failures that may pass on a
+// second try, and key problems link to the settings instead. `note` says
+// what is shown meanwhile.
+function showErrorToast(error, fallback, { retry = null, note = null } = {}) {
+    const message = [(error && error.message) || fallback, note].filter(Boolean).join(' - ');
+    let action = null;
+    
+    if (error instanceof ApiError && ['missing-key', 'invalid-key'].includes(error.code)) {
+        action = { label: 'Settings', run: showSettings };
+    } else if (retry && (!(error instanceof ApiError) || error.retryable)) {
+        action = { label: 'Retry', run: retry };
+    }
+    
+    showToast(message, 'error', { action });
+}
+
+function updateQuotaDisplay() {
+    if (!elements.quotaIndicator) return;
+    
+    const remaining = requestQueue.getRemaining();
+    const queued = remaining.queued > 0 ? ` · ${remaining.queued} queued` : '';
+    elements.quotaIndicator.textContent = `${remaining.day}/${CONFIG.RATE_LIMIT_PER_DAY} API calls left${queued}`;
+    elements.quotaIndicator.classList.toggle('low', remaining.day <= 5);
+}
+
+function updateMarketStatus() {
+    const now = Date.now();
+    const { session, holiday, earlyClose, next } = getMarketStatus(now);
+    const countdown = formatCountdown(next.at - now);
+    
+    const labels = {
+        regular: earlyClose ? 'Open (early close)' : 'Open',
+        pre: 'Pre-market',
+        post: 'After hours',
+        closed: holiday ? `Closed · ${holiday}` : 'Closed',
+    };
+    elements.marketStatusText.textContent = `${labels[session]} · ${next.event}s in ${countdown}`;
+    elements.marketStatus.title = `US market ${next.event}s ${formatExchangeDateTime(next.at)}`;
+    elements.marketStatus.classList.toggle('is-open', session === 'regular');
+    elements.marketStatus.classList.toggle('is-extended', session === 'pre' || session === 'post');
+    elements.marketStatus.classList.toggle('is-closed', session === 'closed');
+    
+    // "As of" switches from an intraday time to "close" once the session ends
+    updateQuoteAsOf();
 }
 
 function updateTimestamp() {
-    const now = new Date();
+    // Snapshot data is only as fresh as the last Actions run, so show that time
+    const useSnapshot = state.snapshot && (state.dataSource === 'snapshot' || !state.stockData);
+    const now = useSnapshot ? new Date(state.snapshot.lastUpdated) : new Date();
     const options = { 
         weekday: 'short', 
         month: 'short', 
@@ -701,103 +4370,13 @@ function updateTimestamp() {
         hour: '2-digit', 
         minute: '2-digit',
     };
-    elements.lastUpdated.textContent = now.toLocaleDateString('en-US', options);
+    elements.lastUpdated.textContent = now.toLocaleDateString(getLocale(), options);
+    updateOfflineBanner();
 }
 
 // ============================================
 // Utility Functions
 // ============================================
-function formatCurrency(value) {
-    if (value === null || value === undefined || isNaN(value)) return '--';
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD',
-    }).format(value);
-}
-
-function formatNumber(value) {
-    if (value === null || value === undefined || isNaN(value)) return '--';
-    return new Intl.NumberFormat('en-US').format(value);
-}
-
-function formatCompactNumber(value) {
-    if (value >= 1e9) return (value / 1e9).toFixed(1) + 'B';
-    if (value >= 1e6) return (value / 1e6).toFixed(1) + 'M';
-    if (value >= 1e3) return (value / 1e3).toFixed(1) + 'K';
-    return value.toString();
-}
-
-function formatDate(date) {
-    const d = new Date(date);
-    return d.toLocaleDateString('en-US', { 
-        weekday: 'short',
-        month: 'short', 
-        day: 'numeric',
-        year: 'numeric',
-    });
-}
-
 function simulateDelay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
-
-// Cache functions
-function getFromCache(key) {
-    const item = state.cache.get(key);
-    if (!item) return null;
-    if (Date.now() - item.timestamp > CONFIG.CACHE_DURATION) {
-        state.cache.delete(key);
-        return null;
-    }
-    return item.data;
-}
-
-function setToCache(key, data) {
-    state.cache.set(key, {
-        data,
-        timestamp: Date.now(),
-    });
-}
-
-// Generate demo historical data
-function generateDemoHistory(days) {
-    const history = [];
-    let price = 150;
-    const now = new Date();
-    
-    for (let i = days; i >= 0; i--) {
-        const date = new Date(now);
-        date.setDate(date.getDate() - i);
-        
-        // Skip weekends
-        if (date.getDay() === 0 || date.getDay() === 6) continue;
-        
-        const change = (Math.random() - 0.48) * 5;
-        price = Math.max(100, Math.min(220, price + change));
-        
-        const volatility = Math.random() * 3;
-        
-        history.push({
-            date,
-            open: price - volatility,
-            high: price + volatility + Math.random() * 2,
-            low: price - volatility - Math.random() * 2,
-            close: price,
-            volume: Math.floor(30000000 + Math.random() * 50000000),
-        });
-    }
-    
-    return history;
-}
-
-// ============================================
-// Export for testing (if needed)
-// ============================================
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        fetchStockQuote,
-        fetchStockHistory,
-        formatCurrency,
-        formatNumber,
-    };
-}
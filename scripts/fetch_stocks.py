@@ -7,7 +7,7 @@ Fetches stock data from Alpha Vantage API and saves to JSON
 import json
 import os
 import sys
-from datetime import datetime
+from datetime import date, datetime, timedelta
 from pathlib import Path
 
 import requests
@@ -33,6 +33,80 @@ def get_symbols():
     return [s.strip().upper() for s in symbols_str.split(",")]
 
 
+def get_history_size():
+    """Get the history output size ("compact" or "full") from the environment."""
+    output_size = os.environ.get("HISTORY_SIZE", "compact").strip().lower()
+    if output_size not in ("compact", "full"):
+        print(f"⚠️  Warning: unknown HISTORY_SIZE '{output_size}', using compact.")
+        return "compact"
+    return output_size
+
+
+def nth_weekday(year: int, month: int, weekday: int, n: int) -> date:
+    """Return the nth weekday (Monday = 0) of a month; n = -1 is the last one."""
+    if n < 0:
+        last = date(year, month + 1, 1) - timedelta(days=1) if month < 12 else date(year, 12, 31)
+        return last - timedelta(days=(last.weekday() - weekday) % 7)
+    first = date(year, month, 1)
+    return first + timedelta(days=(weekday - first.weekday()) % 7 + (n - 1) * 7)
+
+
+def easter_sunday(year: int) -> date:
+    """Return Easter Sunday (anonymous Gregorian algorithm)."""
+    a, b, c = year % 19, year // 100, year % 100
+    d, e = b // 4, b % 4
+    f = (b + 8) // 25
+    g = (b - f + 1) // 3
+    h = (19 * a + b - d - g + 15) % 30
+    i, k = c // 4, c % 4
+    l = (32 + 2 * e + 2 * i - h - k) % 7
+    m = (a + 11 * h + 22 * l) // 451
+    month, day = divmod(h + l - 7 * m + 114, 31)
+    return date(year, month, day + 1)
+
+
+def observed(holiday: date) -> date:
+    """Move a Saturday holiday to Friday and a Sunday holiday to Monday."""
+    if holiday.weekday() == 5:
+        return holiday - timedelta(days=1)
+    if holiday.weekday() == 6:
+        return holiday + timedelta(days=1)
+    return holiday
+
+
+def market_holidays(year: int) -> set:
+    """US exchange holidays for a year, matching the dashboard's trading calendar."""
+    holidays = {
+        nth_weekday(year, 1, 0, 3),  # Martin Luther King Jr. Day
+        nth_weekday(year, 2, 0, 3),  # Washington's Birthday
+        easter_sunday(year) - timedelta(days=2),  # Good Friday
+        nth_weekday(year, 5, 0, -1),  # Memorial Day
+        observed(date(year, 7, 4)),  # Independence Day
+        nth_weekday(year, 9, 0, 1),  # Labor Day
+        nth_weekday(year, 11, 3, 4),  # Thanksgiving Day
+        observed(date(year, 12, 25)),  # Christmas Day
+    }
+    # A Saturday New Year's Day is not observed on the Friday before
+    if date(year, 1, 1).weekday() != 5:
+        holidays.add(observed(date(year, 1, 1)))
+    if year >= 2022:
+        holidays.add(observed(date(year, 6, 19)))  # Juneteenth
+    return holidays
+
+
+def is_trading_day(day: date) -> bool:
+    """Return True if US exchanges are open on this date."""
+    return day.weekday() < 5 and day not in market_holidays(day.year)
+
+
+def latest_trading_day(today: date = None) -> date:
+    """Return today if it is a trading day, otherwise the trading day before it."""
+    day = today or date.today()
+    while not is_trading_day(day):
+        day -= timedelta(days=1)
+    return day
+
+
 def fetch_quote(symbol: str, api_key: str) -> dict:
     """Fetch current quote for a symbol."""
     params = {
@@ -148,7 +222,7 @@ def generate_demo_data(symbols: list) -> dict:
                 "low": round(price - random.uniform(0, 3), 2),
                 "volume": random.randint(20000000, 80000000),
                 "prevClose": round(price - change, 2),
-                "latestTradingDay": datetime.now().strftime("%Y-%m-%d"),
+                "latestTradingDay": latest_trading_day().isoformat(),
             },
             "history": generate_demo_history(price),
         }
@@ -168,11 +242,10 @@ def generate_demo_history(current_price: float, days: int = 100) -> list:
         date = date.replace(day=1)  # Start from beginning of current month
         
         # Calculate the date for this entry
-        from datetime import timedelta
         entry_date = datetime.now() - timedelta(days=days - i)
         
-        # Skip weekends
-        if entry_date.weekday() >= 5:
+        # Skip weekends and exchange holidays
+        if not is_trading_day(entry_date.date()):
             continue
         
         # Random walk
@@ -202,9 +275,11 @@ def main():
     
     api_key = get_api_key()
     symbols = get_symbols()
+    history_size = get_history_size()
     
     print(f"🎯 Symbols: {', '.join(symbols)}")
     print(f"🔑 API Key: {'Set' if api_key != 'demo' else 'Demo mode'}")
+    print(f"📚 History: {history_size}")
     print()
     
     # Create data directory if it doesn't exist
@@ -221,7 +296,10 @@ def main():
             
             quote = fetch_quote(symbol, api_key)
             if quote:
-                history = fetch_daily_history(symbol, api_key, "compact")
+                history = fetch_daily_history(symbol, api_key, history_size)
+                if not history and history_size == "full":
+                    # Full output is a premium feature on some keys
+                    history = fetch_daily_history(symbol, api_key, "compact")
                 stocks[symbol] = {
                     "quote": quote,
                     "history": history,
@@ -0,0 +1,110 @@
+// ============================================
+// StockPulse Service Worker
+// ============================================
+// Precaches the app shell and the Chart.js libraries so the dashboard opens
+// without a connection. data/stocks.json is fetched network-first and the
+// last good copy is served offline. Alpha Vantage responses are not touched
+// here: their URLs carry the API key, and the page already keeps them in
+// IndexedDB (see lib/cache.js).
+
+// Bump when the precache list changes; old caches are dropped on activate
+const CACHE_VERSION = 'stockpulse-v3';
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const DATA_CACHE = `${CACHE_VERSION}-data`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'lib/config.js',
+    'lib/calendar.js',
+    'lib/format.js',
+    'lib/data.js',
+    'lib/indicators.js',
+    'lib/cache.js',
+    'lib/providers.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    // Same pinned versions as the <script> tags in index.html
+    'https://cdn.jsdelivr.net/npm/chart.js@4.5.1/dist/chart.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js',
+];
+
+// Web fonts are cached as they are used rather than precached
+const RUNTIME_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !key.startsWith(`${CACHE_VERSION}-`)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    const isSameOrigin = url.origin === self.location.origin;
+    
+    if (isSameOrigin && url.pathname.endsWith('/data/stocks.json')) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (isSameOrigin || PRECACHE_URLS.includes(request.url) || RUNTIME_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+// The snapshot changes every hour, so prefer the network and fall back to
+// the copy from the last successful fetch
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // The page asks with `cache: no-cache`; store it under the plain URL
+            await cache.put(request.url, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request.url);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Answer from the cache at once and update it in the background, so a new
+// deploy is picked up on the next visit
+async function staleWhileRevalidate(request, cacheName) {
+    // Every ?symbol=... link opens the same page, so they share one entry
+    const key = request.mode === 'navigate' ? self.registration.scope : request;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+    
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(key, response.clone());
+            }
+            return response;
+        });
+    
+    if (cached) {
+        update.catch(() => {});
+        return cached;
+    }
+    return update;
+}
@@ -0,0 +1,56 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG } = require('../lib/config.js');
+const {
+    cacheEntries,
+    staleCacheKeys,
+    getFromCache,
+    setToCache,
+    useStaleCache,
+    clearCache,
+} = require('../lib/cache.js');
+
+// There is no IndexedDB in Node, so entries only live in memory
+describe('cache', () => {
+    let now;
+    
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(console, 'warn', () => {});
+        now = Date.parse('2025-10-17T15:00:00Z'); // Friday, market open
+        mock.method(Date, 'now', () => now);
+        await clearCache();
+    });
+    
+    it('expires quotes after their time to live', () => {
+        setToCache('quote_AAPL', { price: 235 });
+        assert.deepEqual(getFromCache('quote_AAPL'), { price: 235 });
+        
+        now += CONFIG.CACHE_TTL.quote + 1;
+        assert.equal(getFromCache('quote_AAPL'), null);
+        assert.deepEqual(getFromCache('quote_AAPL', { allowStale: true }), { price: 235 });
+    });
+    
+    it('keeps daily history until the next market close', () => {
+        setToCache('history_AAPL', [], { full: true });
+        assert.equal(cacheEntries.get('history_AAPL').expires, Date.parse('2025-10-17T20:00:00Z'));
+        assert.equal(cacheEntries.get('history_AAPL').full, true);
+        
+        setToCache('adjusted_AAPL', []);
+        assert.equal(cacheEntries.get('adjusted_AAPL').expires, Date.parse('2025-10-17T20:00:00Z'));
+    });
+    
+    it('remembers which expired entries were served', () => {
+        setToCache('quote_AAPL', { price: 235 });
+        now += CONFIG.CACHE_TTL.quote + 1;
+        
+        assert.deepEqual(useStaleCache('quote_AAPL'), { price: 235 });
+        assert.equal(staleCacheKeys.has('quote_AAPL'), true);
+        assert.equal(useStaleCache('quote_MSFT'), null);
+        assert.equal(staleCacheKeys.has('quote_MSFT'), false);
+        
+        setToCache('quote_AAPL', { price: 236 });
+        assert.equal(staleCacheKeys.has('quote_AAPL'), false);
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getMarketHolidays,
+    getCalendarDay,
+    getNextTradingDay,
+    getLatestSessionDay,
+    zonedTimeToUtc,
+    getMarketSession,
+    getNextMarketClose,
+} = require('../lib/calendar.js');
+
+describe('trading calendar', () => {
+    it('lists the NYSE holidays for a year', () => {
+        const holidays = getMarketHolidays(2025);
+        assert.equal(holidays.get('2025-01-01'), "New Year's Day");
+        assert.equal(holidays.get('2025-04-18'), 'Good Friday');
+        assert.equal(holidays.get('2025-06-19'), 'Juneteenth');
+        assert.equal(holidays.get('2025-11-27'), 'Thanksgiving Day');
+        assert.equal(holidays.size, 10);
+    });
+    
+    it('moves weekend holidays to the nearest weekday', () => {
+        // July 4th 2026 is a Saturday, Christmas 2022 a Sunday
+        assert.equal(getMarketHolidays(2026).get('2026-07-03'), 'Independence Day');
+        assert.equal(getMarketHolidays(2022).get('2022-12-26'), 'Christmas Day');
+    });
+    
+    it('shortens the session on early-close days', () => {
+        const day = getCalendarDay('2025-11-28');
+        assert.equal(day.isTradingDay, true);
+        assert.equal(day.earlyClose, 'Day after Thanksgiving');
+        assert.equal(day.hours.close, 13 * 60);
+        assert.equal(day.hours.postMarket, 17 * 60);
+    });
+    
+    it('skips weekends and holidays when stepping between trading days', () => {
+        assert.equal(getNextTradingDay('2025-04-17'), '2025-04-21');
+    });
+    
+    it('converts exchange wall-clock time across daylight saving changes', () => {
+        assert.equal(zonedTimeToUtc('2025-01-15', 9 * 60 + 30), Date.parse('2025-01-15T14:30:00Z'));
+        assert.equal(zonedTimeToUtc('2025-07-15', 9 * 60 + 30), Date.parse('2025-07-15T13:30:00Z'));
+    });
+    
+    it('names the session a timestamp falls in', () => {
+        assert.equal(getMarketSession(Date.parse('2025-10-17T12:00:00Z')), 'pre');
+        assert.equal(getMarketSession(Date.parse('2025-10-17T15:00:00Z')), 'regular');
+        assert.equal(getMarketSession(Date.parse('2025-10-17T21:00:00Z')), 'post');
+        assert.equal(getMarketSession(Date.parse('2025-10-18T15:00:00Z')), 'closed');
+    });
+    
+    it('finds the latest session and the next close', () => {
+        const saturday = Date.parse('2025-10-18T15:00:00Z');
+        assert.equal(getLatestSessionDay(saturday), '2025-10-17');
+        assert.equal(getNextMarketClose(saturday), Date.parse('2025-10-20T20:00:00Z'));
+    });
+});
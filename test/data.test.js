@@ -0,0 +1,228 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_INDICATORS } = require('../lib/config.js');
+const {
+    normalizeSymbol,
+    parseSymbolList,
+    parseUrlState,
+    buildUrlSearch,
+    filterDataByRange,
+    getRangeCoverage,
+    getTimeUnit,
+    mergeHistory,
+    calculateMaxDrawdown,
+    measureRange,
+    adjustHistory,
+    getSplitFactor,
+    getCorporateActionMarkers,
+    buildExportRows,
+    toCsv,
+    validatePosition,
+    buildPortfolioHistory,
+} = require('../lib/data.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// One bar a day ending an hour ago, oldest first
+function makeDailyBars(count, now = Date.now()) {
+    return Array.from({ length: count }, (_, i) => {
+        const close = 100 + i;
+        return {
+            date: new Date(now - (count - 1 - i) * DAY - 60 * 60 * 1000),
+            open: close - 1,
+            high: close + 1,
+            low: close - 2,
+            close,
+            volume: 1000,
+        };
+    });
+}
+
+describe('symbols', () => {
+    it('accepts tickers with share classes and exchange suffixes', () => {
+        assert.equal(normalizeSymbol(' brk.b '), 'BRK.B');
+        assert.equal(normalizeSymbol('7203.TYO'), '7203.TYO');
+        assert.equal(normalizeSymbol('<img src=x>'), null);
+        assert.equal(normalizeSymbol(''), null);
+    });
+    
+    it('drops invalid and repeated symbols from a list', () => {
+        assert.deepEqual(parseSymbolList('msft, googl MSFT,,bad!!'), ['MSFT', 'GOOGL']);
+    });
+});
+
+describe('URL state', () => {
+    it('round-trips the chart view through the query string', () => {
+        const indicators = JSON.parse(JSON.stringify(DEFAULT_INDICATORS));
+        indicators.sma.enabled = true;
+        indicators.macd.enabled = true;
+        
+        const search = buildUrlSearch({
+            symbol: 'AAPL',
+            range: '6M',
+            interval: '5min',
+            chartType: 'candlestick',
+            indicators,
+            compare: ['MSFT', 'GOOGL'],
+        });
+        assert.equal(search, '?symbol=AAPL&range=6M&type=candlestick&ind=sma-50,macd-12-26-9&compare=MSFT,GOOGL');
+        
+        const parsed = parseUrlState(search);
+        assert.equal(parsed.symbol, 'AAPL');
+        assert.equal(parsed.range, '6M');
+        assert.equal(parsed.interval, null);
+        assert.deepEqual(parsed.indicators, indicators);
+        assert.deepEqual(parsed.compare, ['MSFT', 'GOOGL']);
+    });
+    
+    it('only adds the price mode for adjusted charts', () => {
+        const view = { symbol: 'AAPL', range: '1Y', chartType: 'line', indicators: DEFAULT_INDICATORS, compare: [] };
+        assert.equal(buildUrlSearch(view), '?symbol=AAPL&range=1Y&type=line');
+        assert.equal(buildUrlSearch({ ...view, priceMode: 'adjusted' }), '?symbol=AAPL&range=1Y&type=line&prices=adjusted');
+        assert.equal(parseUrlState('?prices=adjusted').priceMode, 'adjusted');
+        assert.equal(parseUrlState('?prices=total').priceMode, null);
+    });
+    
+    it('ignores values it does not recognise', () => {
+        const parsed = parseUrlState('?symbol=%3Cscript%3E&range=2W&type=pie&ind=sma-0,nope-3');
+        assert.equal(parsed.symbol, null);
+        assert.equal(parsed.range, null);
+        assert.equal(parsed.chartType, null);
+        assert.equal(parsed.indicators.sma.enabled, true);
+        assert.equal(parsed.indicators.sma.period, DEFAULT_INDICATORS.sma.period);
+    });
+});
+
+describe('time ranges', () => {
+    it('keeps the bars inside a daily range', () => {
+        const bars = makeDailyBars(400);
+        assert.equal(filterDataByRange(bars, '1W').length, 7);
+        assert.equal(filterDataByRange(bars, 'MAX').length, 400);
+        
+        const year = filterDataByRange(bars, '1Y');
+        assert.ok(year.length >= 365 && year.length <= 366);
+        assert.equal(year[year.length - 1], bars[bars.length - 1]);
+    });
+    
+    it('keeps only the latest exchange session for 1D', () => {
+        const bars = [
+            '2025-10-16T19:55:00Z', // 15:55 ET on the 16th
+            '2025-10-17T08:00:00Z', // 04:00 ET pre-market on the 17th
+            '2025-10-17T13:30:00Z',
+        ].map((date, i) => ({ date: new Date(date), close: 100 + i }));
+        
+        assert.deepEqual(filterDataByRange(bars, '1D').map(d => d.close), [101, 102]);
+        assert.deepEqual(filterDataByRange([], '1D'), []);
+    });
+    
+    it('reports when the data starts after the range does', () => {
+        const bars = makeDailyBars(20);
+        assert.equal(getRangeCoverage(bars, '3M').truncated, true);
+        assert.equal(getRangeCoverage(bars, '1W').truncated, false);
+        assert.equal(getRangeCoverage(bars, 'MAX').truncated, false);
+    });
+    
+    it('picks an axis unit for each range', () => {
+        assert.equal(getTimeUnit('1D'), 'hour');
+        assert.equal(getTimeUnit('1W'), 'day');
+        assert.equal(getTimeUnit('3M'), 'week');
+        assert.equal(getTimeUnit('YTD'), 'month');
+        assert.equal(getTimeUnit('MAX'), 'year');
+    });
+});
+
+describe('series', () => {
+    it('merges histories with the newer rows winning', () => {
+        const existing = [
+            { date: new Date('2025-10-15'), close: 1 },
+            { date: new Date('2025-10-16'), close: 2 },
+        ];
+        const incoming = [
+            { date: new Date('2025-10-16'), close: 20 },
+            { date: new Date('2025-10-17'), close: 30 },
+        ];
+        assert.deepEqual(mergeHistory(existing, incoming).map(d => d.close), [1, 20, 30]);
+    });
+    
+    it('measures the move between two bars in either direction', () => {
+        const bars = makeDailyBars(5);
+        const measured = measureRange(bars, 4, 1);
+        assert.equal(measured.change, 3);
+        assert.equal(measured.periods, 3);
+        assert.equal(measured.volume, 3000);
+    });
+    
+    it('finds the largest drawdown', () => {
+        const closes = [100, 120, 90, 110, 60, 130].map(close => ({ close }));
+        assert.equal(calculateMaxDrawdown(closes), 60 / 120 - 1);
+    });
+});
+
+describe('corporate actions', () => {
+    // A 2-for-1 split on the 16th and a $1 dividend on the 17th
+    const bars = [
+        { date: new Date('2025-10-15'), open: 200, high: 210, low: 190, close: 200, volume: 100, dividend: 0, split: 1 },
+        { date: new Date('2025-10-16'), open: 100, high: 105, low: 95, close: 100, volume: 200, dividend: 0, split: 2 },
+        { date: new Date('2025-10-17'), open: 99, high: 100, low: 98, close: 99, volume: 200, dividend: 1, split: 1 },
+    ];
+    
+    it('back-adjusts earlier bars for splits and dividends', () => {
+        const adjusted = adjustHistory(bars);
+        assert.deepEqual(adjusted.map(d => d.close), [99, 99, 99]);
+        assert.equal(adjusted[0].high, 210 * 0.99 / 2);
+        assert.deepEqual(adjusted.map(d => d.volume), [200, 200, 200]);
+        assert.equal(bars[0].close, 200);
+    });
+    
+    it('applies a split before a dividend on the same ex-date', () => {
+        const sameDay = [
+            { ...bars[0] },
+            { ...bars[1], close: 99, dividend: 1 },
+        ];
+        const adjusted = adjustHistory(sameDay);
+        assert.equal(adjusted[0].close, 200 / 2 * (1 - 1 / 100));
+        assert.equal(adjusted[0].volume, 200);
+    });
+    
+    it('leaves series without dividend and split columns alone', () => {
+        const raw = makeDailyBars(3);
+        assert.equal(adjustHistory(raw), raw);
+        assert.deepEqual(getCorporateActionMarkers(raw), []);
+    });
+    
+    it('marks ex-dates and counts split shares', () => {
+        assert.deepEqual(getCorporateActionMarkers(bars).map(m => [m.type, m.value]), [['split', 2], ['dividend', 1]]);
+        assert.equal(getSplitFactor(bars, '2025-10-15'), 2);
+        assert.equal(getSplitFactor(bars, '2025-10-16'), 1);
+    });
+});
+
+describe('export', () => {
+    it('writes day keys and escapes CSV cells', () => {
+        const rows = buildExportRows(makeDailyBars(3), 'MAX');
+        assert.match(rows[0].date, /^\d{4}-\d{2}-\d{2}$/);
+        
+        const csv = toCsv([{ name: 'Apple, Inc', note: 'say "hi"' }], ['name', 'note']);
+        assert.equal(csv, 'name,note\n"Apple, Inc","say ""hi"""\n');
+    });
+});
+
+describe('portfolio', () => {
+    it('validates positions', () => {
+        const position = { symbol: 'AAPL', shares: 10, price: 150, fees: 0, date: '2025-01-02' };
+        assert.equal(validatePosition(position), null);
+        assert.equal(validatePosition({ ...position, shares: 0 }), 'Shares must be greater than zero');
+        assert.equal(validatePosition({ ...position, date: '01/02/2025' }), 'Buy date must be YYYY-MM-DD');
+    });
+    
+    it('multiplies the shares held by later splits', () => {
+        const history = [
+            { date: new Date('2025-10-15'), close: 200, split: 1 },
+            { date: new Date('2025-10-16'), close: 100, split: 2 },
+        ];
+        const position = { symbol: 'AAPL', shares: 10, price: 150, fees: 0, date: '2025-10-15' };
+        const points = buildPortfolioHistory([position], new Map([['AAPL', history]]));
+        assert.deepEqual(points.map(p => p.value), [2000, 2000]);
+    });
+});
@@ -0,0 +1,322 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { JSDOM, VirtualConsole, requestInterceptor } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const API_ORIGIN = 'https://www.alphavantage.co';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+};
+
+// Alpha Vantage function -> recorded response
+const FIXTURES = {
+    GLOBAL_QUOTE: 'global-quote',
+    TIME_SERIES_DAILY: 'time-series-daily',
+    TIME_SERIES_DAILY_ADJUSTED: 'premium-endpoint',
+    TIME_SERIES_INTRADAY: 'time-series-intraday-5min',
+    OVERVIEW: 'overview',
+    EARNINGS: 'earnings',
+    SYMBOL_SEARCH: 'symbol-search',
+};
+
+// Stands in for Chart.js; records what each chart was asked to draw
+const FAKE_CHART = `
+window.Chart = class Chart {
+    static instances = [];
+    static getChart(canvas) {
+        return Chart.instances.find(chart => chart.canvas === canvas);
+    }
+    constructor(ctx, config) {
+        this.canvas = ctx.canvas;
+        this.config = config;
+        this.data = config.data;
+        this.options = config.options || {};
+        Chart.instances.push(this);
+    }
+    getDatasetMeta() {
+        return { data: [] };
+    }
+    update() {}
+    draw() {}
+    destroy() {
+        Chart.instances.splice(Chart.instances.indexOf(this), 1);
+    }
+};
+`;
+
+// This key stands for a free one: full history is refused as premium
+const FREE_KEY = 'FREEKEY';
+
+function pickFixture(params) {
+    if (params.get('apikey') === FREE_KEY && params.get('outputsize') === 'full') {
+        return 'premium-full-history';
+    }
+    return FIXTURES[params.get('function')];
+}
+
+// Serves the repository plus a stub of the Alpha Vantage /query endpoint
+function startServer(requests) {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        
+        if (url.pathname === '/query') {
+            requests.push(url.searchParams);
+            const fixture = pickFixture(url.searchParams);
+            const body = fixture
+                ? fs.readFileSync(path.join(__dirname, 'fixtures', 'alphavantage', `${fixture}.json`))
+                : JSON.stringify({ 'Error Message': 'Invalid API call.' });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(body);
+            return;
+        }
+        
+        const file = path.join(ROOT, url.pathname === '/' ? 'index.html' : url.pathname);
+        if (!file.startsWith(ROOT) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(fs.readFileSync(file));
+    });
+    
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// A 2D context whose every method is a no-op
+function createContextStub(canvas) {
+    const stub = () => new Proxy(function () {}, {
+        get: (target, key) => (key === 'canvas' ? canvas : stub()),
+        set: () => true,
+        apply: () => stub(),
+    });
+    return stub();
+}
+
+function waitFor(condition, timeout = 5000) {
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        (function poll() {
+            if (condition()) return resolve();
+            if (Date.now() - start > timeout) return reject(new Error('Timed out waiting for the page'));
+            setTimeout(poll, 20);
+        })();
+    });
+}
+
+// Opens index.html with `search` in the URL and `apiKey` (plus any other
+// `storage` entries) stored, once the quote card has loaded. `close` waits for follow-up loads (earnings,
+// toasts) to finish first.
+async function openDashboard(server, { apiKey, search, storage = {} }) {
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    const errors = [];
+    let pendingFetches = 0;
+    
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+    
+    const dom = await JSDOM.fromURL(`${origin}/index.html${search}`, {
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        resources: {
+            interceptors: [
+                requestInterceptor(request => {
+                    const { hostname } = new URL(request.url);
+                    if (hostname === 'cdn.jsdelivr.net') {
+                        const body = request.url.includes('/chart.js@') ? FAKE_CHART : '';
+                        return new Response(body, { headers: { 'Content-Type': 'application/javascript' } });
+                    }
+                    if (hostname.endsWith('googleapis.com')) {
+                        return new Response('', { headers: { 'Content-Type': 'text/css' } });
+                    }
+                    return undefined;
+                }),
+            ],
+        },
+        beforeParse(window) {
+            window.localStorage.setItem('stockpulse_api_key', apiKey);
+            window.localStorage.setItem('stockpulse_provider', 'alphavantage');
+            window.localStorage.setItem('stockpulse_watchlist', '[]');
+            Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            window.matchMedia = () => ({ matches: false, addEventListener() {} });
+            window.HTMLCanvasElement.prototype.getContext = function () {
+                return createContextStub(this);
+            };
+            // jsdom has no fetch; send Alpha Vantage calls to the stub
+            window.fetch = (input, init) => {
+                const url = new URL(input, window.location.href);
+                const target = url.origin === API_ORIGIN ? `${origin}${url.pathname}${url.search}` : url.href;
+                pendingFetches++;
+                return fetch(target, init).finally(() => pendingFetches--);
+            };
+        },
+    });
+    
+    const { document } = dom.window;
+    await waitFor(() => !document.getElementById('cardContent').classList.contains('hidden'));
+    
+    return {
+        dom,
+        errors,
+        async close() {
+            await waitFor(() => pendingFetches === 0);
+            await new Promise(resolve => setTimeout(resolve, 100));
+            dom.window.close();
+        },
+    };
+}
+
+describe('dashboard page', () => {
+    const requests = [];
+    let server;
+    let page;
+    let dom;
+    let errors;
+    
+    before(async () => {
+        server = await startServer(requests);
+        page = await openDashboard(server, { apiKey: 'TESTKEY', search: '?symbol=AAPL&range=MAX&ind=sma-50' });
+        ({ dom, errors } = page);
+    });
+    
+    after(async () => {
+        await page?.close();
+        server?.close();
+    });
+    
+    it('loads the linked symbol into the quote card', () => {
+        const { document } = dom.window;
+        const text = (id) => document.getElementById(id).textContent;
+        
+        assert.equal(text('stockSymbol'), 'AAPL');
+        assert.equal(text('stockName'), 'Apple Inc');
+        assert.match(text('currentPrice'), /235\.00/);
+        assert.match(text('priceChange'), /^\+.*3\.22.*\+1\.39%/);
+        assert.ok(document.getElementById('priceChange').classList.contains('positive'));
+        assert.match(text('statVolume'), /46.431.472/);
+    });
+    
+    it('fetches through Alpha Vantage with the stored key', () => {
+        const calls = requests.filter(params => params.get('symbol') === 'AAPL');
+        const functions = calls.map(params => params.get('function'));
+        
+        assert.ok(functions.includes('GLOBAL_QUOTE'));
+        assert.ok(functions.includes('OVERVIEW'));
+        const daily = calls.find(params => params.get('function') === 'TIME_SERIES_DAILY');
+        assert.equal(daily.get('outputsize'), 'full');
+        assert.ok(calls.every(params => params.get('apikey') === 'TESTKEY'));
+    });
+    
+    it('plots the daily history', () => {
+        const { Chart, document } = dom.window;
+        const priceChart = Chart.getChart(document.getElementById('priceChart'));
+        assert.ok(priceChart);
+        assert.equal(priceChart.data.datasets[0].data.length, 5);
+    });
+    
+    it('applies indicator edits after restoring them from the link', () => {
+        const { Chart, Event, document } = dom.window;
+        const period = document.querySelector('.indicator-param[data-indicator="sma"][data-param="period"]');
+        assert.equal(period.value, '50');
+        
+        period.value = '3';
+        period.dispatchEvent(new Event('change'));
+        
+        assert.match(dom.window.location.search, /ind=sma-3(&|$)/);
+        const labels = Chart.getChart(document.getElementById('priceChart')).data.datasets.map(d => d.label);
+        assert.ok(labels.includes('SMA 3'));
+    });
+    
+    it('falls back to raw prices when adjusted ones need a premium key', async () => {
+        const { document } = dom.window;
+        const notice = document.getElementById('priceModeNotice');
+        assert.match(document.getElementById('rangeReturn').textContent, /^MAX price return: \+/);
+        
+        document.querySelector('.price-mode-btn[data-prices="adjusted"]').click();
+        await waitFor(() => /premium/.test(notice.textContent));
+        
+        assert.ok(requests.some(params => params.get('function') === 'TIME_SERIES_DAILY_ADJUSTED'));
+        assert.ok(!notice.classList.contains('hidden'));
+        assert.match(notice.textContent, /not available from Alpha Vantage without a premium API key/);
+        assert.match(document.getElementById('rangeReturn').textContent, /^MAX price return/);
+        assert.match(dom.window.location.search, /prices=adjusted/);
+    });
+    
+    it('runs without script errors', () => {
+        assert.deepEqual(errors, []);
+    });
+});
+
+describe('dashboard page on a free key', () => {
+    const requests = [];
+    let server;
+    let page;
+    
+    before(async () => {
+        server = await startServer(requests);
+        page = await openDashboard(server, {
+            apiKey: FREE_KEY,
+            search: '?symbol=AAPL&range=MAX&compare=AAPL',
+            storage: {
+                stockpulse_portfolio: JSON.stringify([
+                    { id: 'p1', symbol: 'AAPL', shares: 10, price: 75, fees: 0, date: '2020-01-02' },
+                ]),
+            },
+        });
+    });
+    
+    after(async () => {
+        await page?.close();
+        server?.close();
+    });
+    
+    it('loads the compact history when full history is refused', () => {
+        const { Chart, document } = page.dom.window;
+        const daily = requests.filter(params => params.get('function') === 'TIME_SERIES_DAILY');
+        assert.deepEqual(daily.map(params => params.get('outputsize')), ['full', 'compact']);
+        
+        assert.equal(document.getElementById('stockSymbol').textContent, 'AAPL');
+        assert.equal(Chart.getChart(document.getElementById('priceChart')).data.datasets[0].data.length, 5);
+        assert.deepEqual(page.errors, []);
+    });
+    
+    it('does not ask for full history again', async () => {
+        const { document } = page.dom.window;
+        document.querySelector('.time-btn[data-range="5Y"]').click();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        
+        // The portfolio's adjusted request is refused separately
+        const full = requests.filter(params => params.get('function') === 'TIME_SERIES_DAILY'
+            && params.get('outputsize') === 'full');
+        assert.equal(full.length, 1);
+        assert.match(document.getElementById('rangeNotice').textContent, /Full history needs a premium API key/);
+    });
+    
+    it('compares the compact history and says it is shorter', async () => {
+        const { Chart, document } = page.dom.window;
+        const notice = document.getElementById('compareNotice');
+        await waitFor(() => !notice.classList.contains('hidden'));
+        
+        assert.equal(Chart.getChart(document.getElementById('compareChart')).data.datasets[0].label, 'AAPL');
+        assert.match(notice.textContent, /^AAPL: .*Full history needs a premium API key/);
+    });
+    
+    it('keeps old positions and says their history is shorter', async () => {
+        const { document } = page.dom.window;
+        const notice = document.getElementById('portfolioNotice');
+        await waitFor(() => !notice.classList.contains('hidden'));
+        
+        assert.equal(document.querySelector('#portfolioPositions td').textContent, 'AAPL');
+        assert.match(notice.textContent, /^Value history covers AAPL from .*Full history needs a premium API key/);
+        assert.match(notice.textContent, /Splits are not applied to AAPL - Alpha Vantage has no split data without a premium API key/);
+    });
+});
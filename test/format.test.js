@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_PREFERENCES } = require('../lib/config.js');
+const {
+    setFormatOptions,
+    isSupportedLocale,
+    formatCurrency,
+    formatPercent,
+    formatCompactNumber,
+    formatCompactCurrency,
+    formatOptional,
+    formatSplitRatio,
+    formatDate,
+    formatAge,
+    formatCountdown,
+    describeQuoteAsOf,
+} = require('../lib/format.js');
+
+describe('formatters', () => {
+    let preferences;
+    
+    beforeEach(() => {
+        preferences = { ...DEFAULT_PREFERENCES, locale: 'en-US' };
+        setFormatOptions(preferences);
+    });
+    
+    it('abbreviates large numbers', () => {
+        assert.equal(formatCompactNumber(950), '950');
+        assert.equal(formatCompactNumber(46431472), '46.4M');
+        assert.equal(formatCompactNumber(3487385420000), '3.49T');
+    });
+    
+    it('formats money in the chosen currency display', () => {
+        assert.equal(formatCurrency(1234.5), '$1,234.50');
+        assert.equal(formatCompactCurrency(3487385420000), '$3.49T');
+        
+        preferences.currencyDisplay = 'code';
+        assert.match(formatCurrency(10, 'EUR'), /^EUR\s10\.00$/);
+    });
+    
+    it('writes split coefficients as share counts', () => {
+        assert.equal(formatSplitRatio(4), '4-for-1');
+        assert.equal(formatSplitRatio(1.5), '3-for-2');
+        assert.equal(formatSplitRatio(0.6667), '2-for-3');
+        assert.equal(formatSplitRatio(0.1), '1-for-10');
+    });
+    
+    it('follows the chosen locale', () => {
+        preferences.locale = 'de-DE';
+        assert.equal(formatCompactNumber(46431472), '46,4 Mio.');
+    });
+    
+    it('rejects locales Intl cannot use', () => {
+        assert.equal(isSupportedLocale('auto'), true);
+        assert.equal(isSupportedLocale('de-DE'), true);
+        assert.equal(isSupportedLocale('en_US'), false);
+        assert.equal(isSupportedLocale(''), false);
+    });
+    
+    it('signs percentages and shows missing values as dashes', () => {
+        assert.equal(formatPercent(1.3893), '+1.39%');
+        assert.equal(formatPercent(-0.5, 1), '-0.5%');
+        assert.equal(formatCurrency(null), '--');
+        assert.equal(formatOptional(undefined, formatPercent), '--');
+    });
+    
+    it('formats dates in the chosen style', () => {
+        const date = new Date('2025-10-17T00:00:00Z');
+        preferences.dateFormat = 'iso';
+        assert.equal(formatDate(date), '2025-10-17');
+    });
+    
+    it('formats durations', () => {
+        assert.equal(formatAge(42 * 1000), '42s');
+        assert.equal(formatAge(3 * 3600 * 1000), '3h');
+        assert.equal(formatCountdown(90 * 60 * 1000), '1h 30m');
+    });
+    
+    it('labels a quote with its session', () => {
+        const afterClose = Date.parse('2025-10-17T21:00:00Z');
+        assert.deepEqual(describeQuoteAsOf('2025-10-17', afterClose, afterClose), {
+            text: 'As of Fri, Oct 17 close',
+            isOld: false,
+        });
+        
+        const nextWeek = Date.parse('2025-10-24T21:00:00Z');
+        assert.equal(describeQuoteAsOf('2025-10-17', afterClose, nextWeek).isOld, true);
+    });
+});
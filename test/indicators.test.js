@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    calculateSMA,
+    calculateEMA,
+    calculateBollingerBands,
+    calculateVWAP,
+    calculateRSI,
+    calculateMACD,
+} = require('../lib/indicators.js');
+
+describe('technical indicators', () => {
+    it('pads the warm-up period with nulls', () => {
+        assert.deepEqual(calculateSMA([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+        assert.deepEqual(calculateSMA([1, 2], 3), [null, null]);
+    });
+    
+    it('seeds the EMA with the SMA', () => {
+        assert.deepEqual(calculateEMA([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    });
+    
+    it('rejects periods that are not positive integers', () => {
+        assert.throws(() => calculateSMA([1, 2, 3], 0), RangeError);
+        assert.throws(() => calculateEMA([1, 2, 3], 2.5), RangeError);
+    });
+    
+    it('spreads the Bollinger Bands by population standard deviation', () => {
+        const { upper, middle, lower } = calculateBollingerBands([1, 2, 3], 3, 2);
+        const deviation = Math.sqrt(2 / 3);
+        assert.equal(middle[2], 2);
+        assert.equal(upper[2], 2 + 2 * deviation);
+        assert.equal(lower[2], 2 - 2 * deviation);
+    });
+    
+    it('weights VWAP by volume from the first row', () => {
+        const rows = [
+            { high: 11, low: 9, close: 10, volume: 100 },
+            { high: 21, low: 19, close: 20, volume: 300 },
+        ];
+        assert.deepEqual(calculateVWAP(rows), [10, 17.5]);
+    });
+    
+    it("smooths RSI with Wilder's method", () => {
+        assert.deepEqual(calculateRSI([1, 2, 3, 2], 2), [null, null, 100, 50]);
+    });
+    
+    it('derives the MACD histogram from the signal line', () => {
+        const { macd, signal, histogram } = calculateMACD([1, 2, 3, 4, 5, 6], 2, 3, 2);
+        assert.deepEqual(macd.slice(0, 2), [null, null]);
+        histogram.forEach((value, i) => {
+            if (value !== null) assert.equal(value, macd[i] - signal[i]);
+        });
+        assert.ok(histogram.some(value => value !== null));
+    });
+});
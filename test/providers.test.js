@@ -0,0 +1,313 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+    ApiError,
+    getAlphaVantageError,
+    createRequestQueue,
+    hasBackgroundBudget,
+    createAlphaVantageProvider,
+    parseAlphaVantageQuote,
+    parseAlphaVantageDaily,
+    parseAlphaVantageIntraday,
+    parseAlphaVantageOverview,
+    parseAlphaVantageEarnings,
+    parseSymbolSearch,
+    createMockProvider,
+    parseSnapshot,
+} = require('../lib/providers.js');
+const {
+    adjustHistory,
+    getSplitFactor,
+    calculatePositionMetrics,
+    buildPortfolioHistory,
+} = require('../lib/data.js');
+
+// Responses recorded from the Alpha Vantage API
+function fixture(name) {
+    const file = path.join(__dirname, 'fixtures', 'alphavantage', `${name}.json`);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Alpha Vantage parsers', () => {
+    it('parses a quote', () => {
+        assert.deepEqual(parseAlphaVantageQuote(fixture('global-quote')), {
+            symbol: 'AAPL',
+            price: 235,
+            change: 3.22,
+            changePercent: 1.3893,
+            open: 234.08,
+            high: 236.85,
+            low: 233.56,
+            volume: 46431472,
+            prevClose: 231.78,
+            latestTradingDay: '2025-10-17',
+        });
+    });
+    
+    it('treats an empty quote as no data', () => {
+        assert.throws(() => parseAlphaVantageQuote(fixture('global-quote-empty')), { code: 'no-data' });
+    });
+    
+    it('sorts daily bars oldest first', () => {
+        const history = parseAlphaVantageDaily(fixture('time-series-daily'));
+        assert.equal(history.length, 5);
+        assert.deepEqual(history[0].date, new Date('2025-10-13'));
+        assert.deepEqual(history[4], {
+            date: new Date('2025-10-17'),
+            open: 234.08,
+            high: 236.85,
+            low: 233.56,
+            close: 235,
+            volume: 46431472,
+        });
+    });
+    
+    it('reads dividends and splits from the adjusted series', () => {
+        const data = fixture('time-series-daily-adjusted');
+        const history = parseAlphaVantageDaily(data, { adjusted: true });
+        assert.deepEqual(history.map(d => d.close), [1224.4, 1209.98, 1208.88, 121.79, 120.91]);
+        assert.deepEqual(history.map(d => d.split), [1, 1, 1, 10, 1]);
+        assert.deepEqual(history.map(d => d.dividend), [0, 0, 0, 0, 0.01]);
+        assert.equal(history[3].volume, 314162727);
+        
+        // Recomputed adjusted closes match the vendor's to the cent
+        const vendorCloses = Object.values(data['Time Series (Daily)']).reverse().map(v => parseFloat(v['5. adjusted close']));
+        adjustHistory(history).forEach((d, i) => assert.ok(Math.abs(d.close - vendorCloses[i]) < 0.01));
+    });
+    
+    it('values positions bought before a split at the split share count', () => {
+        const history = parseAlphaVantageDaily(fixture('time-series-daily-adjusted'), { adjusted: true });
+        const position = { id: 'p1', symbol: 'NVDA', shares: 1, price: 1209.98, fees: 0, date: '2024-06-06' };
+        
+        assert.equal(getSplitFactor(history, position.date), 10);
+        const metrics = calculatePositionMetrics(position, { price: 120.91 }, getSplitFactor(history, position.date));
+        assert.equal(metrics.shares, 10);
+        assert.ok(Math.abs(metrics.marketValue - 1209.1) < 1e-9);
+        
+        const values = buildPortfolioHistory([position], new Map([['NVDA', history]])).map(p => p.value);
+        assert.deepEqual(values.map(v => Math.round(v)), [1210, 1209, 1218, 1209]);
+    });
+    
+    it('reads intraday timestamps as exchange time', () => {
+        const bars = parseAlphaVantageIntraday(fixture('time-series-intraday-5min'), '5min');
+        assert.deepEqual(bars.map(d => d.date.toISOString()), [
+            '2025-10-17T08:00:00.000Z',
+            '2025-10-17T13:30:00.000Z',
+            '2025-10-17T13:35:00.000Z',
+            '2025-10-17T13:40:00.000Z',
+        ]);
+    });
+    
+    it('parses an overview, dropping placeholder values', () => {
+        const overview = parseAlphaVantageOverview(fixture('overview'), 'AAPL');
+        assert.equal(overview.name, 'Apple Inc');
+        assert.equal(overview.currency, 'USD');
+        assert.equal(overview.marketCap, 3487385420000);
+        assert.equal(overview.high52, 260.1);
+        assert.deepEqual(parseAlphaVantageOverview(fixture('invalid-symbol'), 'NOPE'), { name: 'NOPE' });
+    });
+    
+    it('sorts earnings newest first and keeps missing estimates as null', () => {
+        const earnings = parseAlphaVantageEarnings(fixture('earnings'));
+        assert.deepEqual(earnings.map(q => q.fiscalDateEnding), ['2025-06-30', '2025-03-31', '2024-12-31']);
+        assert.equal(earnings[0].surprisePercent, 9.7902);
+        assert.equal(earnings[2].estimatedEPS, null);
+    });
+    
+    it('parses symbol search matches', () => {
+        const matches = parseSymbolSearch(fixture('symbol-search'));
+        assert.deepEqual(matches[1], {
+            symbol: 'AAPL34.SAO',
+            name: 'Apple Inc',
+            type: 'Equity',
+            region: 'Brazil/Sao Paolo',
+            currency: 'BRL',
+            matchScore: 0.6154,
+        });
+        assert.deepEqual(parseSymbolSearch(fixture('invalid-key')), []);
+    });
+});
+
+describe('Alpha Vantage errors', () => {
+    const cases = [
+        ['rate-limit-note', 'rate-limit', true],
+        ['rate-limit-burst', 'rate-limit', true],
+        ['daily-limit', 'daily-limit', false],
+        ['premium-full-history', 'premium', false],
+        ['premium-endpoint', 'premium', false],
+        ['invalid-symbol', 'invalid-symbol', false],
+        ['invalid-key', 'invalid-key', false],
+    ];
+    
+    cases.forEach(([name, code, retryable]) => {
+        it(`classifies ${name}`, () => {
+            const error = getAlphaVantageError(fixture(name));
+            assert.ok(error instanceof ApiError);
+            assert.equal(error.code, code);
+            assert.equal(error.retryable, retryable);
+        });
+    });
+    
+    it('does not flag data responses', () => {
+        assert.equal(getAlphaVantageError(fixture('global-quote')), null);
+        assert.equal(getAlphaVantageError([]).code, 'bad-response');
+    });
+    
+    it('explains why full history failed', () => {
+        assert.throws(
+            () => parseAlphaVantageDaily(fixture('premium-full-history'), { full: true }),
+            { code: 'premium', message: /showing the latest 100 days/ }
+        );
+        assert.throws(
+            () => parseAlphaVantageDaily(fixture('premium-endpoint'), { adjusted: true }),
+            { code: 'premium', message: /Adjusted prices need a premium API key/ }
+        );
+    });
+});
+
+describe('request queue', () => {
+    // Timers only fire when the test moves the clock
+    function createClock() {
+        const clock = { now: 0, timers: [] };
+        clock.setTimer = (fn, ms) => clock.timers.push({ fn, at: clock.now + ms });
+        clock.advance = async (ms) => {
+            clock.now += ms;
+            const due = clock.timers.filter(t => t.at <= clock.now);
+            clock.timers = clock.timers.filter(t => t.at > clock.now);
+            due.forEach(t => t.fn());
+            await flush();
+        };
+        return clock;
+    }
+    
+    it('retries throttled requests with exponential backoff', async () => {
+        const clock = createClock();
+        const responses = [fixture('rate-limit-note'), fixture('rate-limit-burst'), fixture('global-quote')];
+        const queue = createRequestQueue({
+            now: () => clock.now,
+            setTimer: clock.setTimer,
+            fetchJson: async () => responses.shift(),
+            backoff: 1000,
+        });
+        
+        let result = null;
+        queue.request('https://example.test/query?symbol=AAPL').then(data => { result = data; });
+        await flush();
+        assert.equal(result, null);
+        
+        await clock.advance(1000);
+        assert.equal(result, null);
+        await clock.advance(2000);
+        assert.deepEqual(result, fixture('global-quote'));
+    });
+    
+    it('stops at the daily limit', async () => {
+        const clock = createClock();
+        let calls = 0;
+        const queue = createRequestQueue({
+            now: () => clock.now,
+            setTimer: clock.setTimer,
+            fetchJson: async () => {
+                calls++;
+                return fixture('daily-limit');
+            },
+        });
+        
+        await assert.rejects(queue.request('https://example.test/a'), { code: 'daily-limit' });
+        await assert.rejects(queue.request('https://example.test/b'), { code: 'daily-limit' });
+        assert.equal(calls, 1);
+        assert.equal(queue.getRemaining().day, 0);
+    });
+    
+    it('waits for the one-minute window once the budget is spent', async () => {
+        const clock = createClock();
+        const sent = [];
+        const queue = createRequestQueue({
+            now: () => clock.now,
+            setTimer: clock.setTimer,
+            fetchJson: async (url) => {
+                sent.push(url);
+                return fixture('global-quote');
+            },
+            perMinute: 2,
+        });
+        
+        ['a', 'b', 'c'].forEach(id => queue.request(`https://example.test/${id}`));
+        await flush();
+        assert.equal(sent.length, 2);
+        assert.equal(queue.getRemaining().queued, 1);
+        
+        await clock.advance(60 * 1000);
+        assert.equal(sent.length, 3);
+    });
+    
+    it('keeps a reserve of the daily budget from background refreshes', async () => {
+        const queue = createRequestQueue({ fetchJson: async () => fixture('global-quote'), perDay: 12 });
+        assert.equal(hasBackgroundBudget(queue.getRemaining(), 10), true);
+        
+        await queue.request('https://example.test/a');
+        assert.equal(hasBackgroundBudget(queue.getRemaining(), 10), true);
+        await queue.request('https://example.test/b');
+        assert.equal(hasBackgroundBudget(queue.getRemaining(), 10), false);
+        
+        assert.equal(hasBackgroundBudget({ day: 12, queued: 2 }, 10), false);
+    });
+});
+
+describe('providers', () => {
+    it('only spends requests that can succeed', async () => {
+        const urls = [];
+        const queue = { request: async (url) => urls.push(url) };
+        const options = { apiBase: 'https://example.test/query', getApiKey: () => 'KEY', queue };
+        
+        const provider = createAlphaVantageProvider(options);
+        await assert.rejects(provider.getQuote('<script>'), { code: 'invalid-symbol' });
+        
+        const keyless = createAlphaVantageProvider({ ...options, getApiKey: () => '' });
+        await assert.rejects(keyless.getQuote('AAPL'), { code: 'missing-key' });
+        
+        const offline = createAlphaVantageProvider({ ...options, isOnline: () => false });
+        await assert.rejects(offline.getQuote('AAPL'), { code: 'offline' });
+        assert.equal(urls.length, 0);
+        
+        await provider.getQuote('AAPL').catch(() => {});
+        assert.deepEqual(urls, ['https://example.test/query?function=GLOBAL_QUOTE&symbol=AAPL&apikey=KEY']);
+    });
+    
+    it('serves the same demo data for a symbol on every call', async () => {
+        const provider = createMockProvider({ days: 30 });
+        const [first, second] = await Promise.all([provider.getHistory('DEMO'), provider.getHistory('DEMO')]);
+        assert.deepEqual(first, second);
+        
+        const quote = await provider.getQuote('DEMO');
+        assert.equal(quote.price, first[first.length - 1].close);
+    });
+    
+    it('gives demo stocks dividends and splits that adjusting smooths out', async () => {
+        const history = await createMockProvider({ days: 4000 }).getHistory('NVDA');
+        assert.ok(history.some(d => d.dividend > 0));
+        assert.ok(history.some(d => d.split > 1));
+        
+        // Split days open far below the last close until the series is adjusted
+        const largestGap = (bars) => Math.max(...bars.slice(1).map((d, i) => Math.abs(Math.log(d.open / bars[i].close))));
+        assert.ok(largestGap(history) > Math.log(2) * 0.9);
+        assert.ok(largestGap(adjustHistory(history)) < 0.15);
+    });
+    
+    it('parses the committed snapshot', () => {
+        const file = path.join(__dirname, '..', 'data', 'stocks.json');
+        const snapshot = parseSnapshot(JSON.parse(fs.readFileSync(file, 'utf8')));
+        
+        assert.ok(snapshot.symbols.length > 0);
+        snapshot.symbols.forEach(symbol => {
+            const { history } = snapshot.stocks[symbol];
+            assert.ok(history.every((d, i) => d.date instanceof Date && (i === 0 || history[i - 1].date <= d.date)));
+        });
+        assert.throws(() => parseSnapshot({}), /Malformed snapshot/);
+    });
+});